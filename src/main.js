@@ -2,19 +2,34 @@ import './modules/polyfillMSTP.js';
 import './style.css'
 // main.js
 import { loadIcons } from './modules/iconLoader.js';
-const iconNames = ['cameraswitch', 'download', 'colors', 'share'];
+const iconNames = ['cameraswitch', 'download', 'colors', 'share', 'ac_unit', 'play_arrow', 'pause', 'restart_alt', 'replay', 'skip_previous', 'skip_next', 'screen_rotation'];
 loadIcons(iconNames);
 
-import { startAppBtn, welcomeScreen, app, loadingSpinner, cameraToggle } from './modules/domElements.js';
+import { startAppBtn, welcomeScreen, app, loadingSpinner, cameraToggle, freezeCapture, startCapture, playerControls, videoFileInput, openProjectButton, projectFileInput } from './modules/domElements.js';
 import { CameraManager } from './modules/camera.js';
+import { FileSource } from './modules/fileSource.js';
 import { FrameProcessor } from './modules/frameProcessor.js';
 import { DownloadManager } from './modules/download.js';
+import { setupCaptureOptions, readCaptureOptions } from './modules/captureOptions.js';
+import { setupColorControls } from './modules/colorControls.js';
+import { setupCaptureControls } from './modules/captureControls.js';
+import { setupPlayerControls } from './modules/playerControls.js';
+import { Scrubber } from './modules/scrubbing.js';
+import { GalleryManager } from './modules/gallery.js';
+import { loadCapture } from './modules/captureStore.js';
+import { readProject } from './modules/projectFile.js';
 
 let cameraManager = null;
+let frameSource = null; // The active source: cameraManager or a FileSource
 let frameProcessor = null;
 let downloadManager = null;
 let processingLoop = null;
+let scrubber = null;
 
+setupCaptureOptions();
+
+// Past captures stored in IndexedDB
+const galleryManager = new GalleryManager({ onOpen: openSavedCapture });
 
 // Start preloading immediately when the page loads
 document.addEventListener('DOMContentLoaded', async () => {
@@ -51,33 +66,97 @@ startAppBtn.addEventListener('click', async () => {
         return;
     }
 
-    startAppBtn.textContent = 'Starting camera...';
+    // Apply the capture options chosen on the welcome screen
+    const captureOptions = readCaptureOptions();
+
+    // A file source needs a file before we can start
+    if (captureOptions.source === 'file' && !captureOptions.videoFile) {
+        videoFileInput.click();
+        return;
+    }
+
+    const startingMessages = {
+        camera: 'Starting camera...',
+        screen: 'Choose a screen...',
+        file: 'Opening video...'
+    };
+    startAppBtn.textContent = startingMessages[captureOptions.source] || startingMessages.camera;
     startAppBtn.disabled = true;
 
     try {
-        // Initialize camera
-        const cameraInfo = await cameraManager.initialize();
+        frameProcessor.setCanvasBackend(captureOptions.canvasBackend);
+        frameProcessor.setCaptureMode(captureOptions.captureMode);
+        frameProcessor.setCaptureDuration(captureOptions.captureDuration);
+        frameProcessor.setSamplingMode(captureOptions.samplingMode);
+        frameProcessor.setSliceCount(captureOptions.sliceCount);
+        frameProcessor.setScanAxis(captureOptions.scanAxis);
+        frameProcessor.setMappingCurve(captureOptions.mappingCurve, captureOptions.curveOptions);
+        frameProcessor.setTimeWarpDelay(captureOptions.timeWarpDelay);
+        frameProcessor.setSliceWriter(captureOptions.sliceWriter);
+
+        // Initialize the frame source (camera, screen or video file)
+        let sourceInfo;
+        if (captureOptions.source === 'file') {
+            frameSource = new FileSource(captureOptions.videoFile);
+            sourceInfo = await frameSource.initialize();
+        } else if (captureOptions.source === 'screen') {
+            frameSource = cameraManager;
+            sourceInfo = await cameraManager.initializeDisplay();
+        } else {
+            frameSource = cameraManager;
+            sourceInfo = await cameraManager.initialize();
+        }
 
-        // Initialize frame processor with camera dimensions
-        frameProcessor.setDimensions(cameraInfo.width, cameraInfo.height);
+        // Initialize frame processor with source dimensions
+        frameProcessor.setDimensions(sourceInfo.width, sourceInfo.height);
 
-        // Give frame processor access to camera manager for shutdown
-        frameProcessor.setCameraManager(cameraManager);
+        // Give frame processor access to the source for shutdown
+        frameProcessor.setFrameSource(frameSource);
 
-        // Initialize download manager with canvas manager from frame processor
-        downloadManager = new DownloadManager(frameProcessor.canvasManager);
+        // Export, share and color controls
+        setupPlaybackControls();
+
+        // Keep finished captures in the gallery; a rolling capture never finishes, so
+        // each state it is frozen in is kept instead
+        frameProcessor.onComplete = () => galleryManager.saveCapture(frameProcessor);
+        frameProcessor.onFreeze = () => galleryManager.saveCapture(frameProcessor);
 
         // Set up camera toggle if multiple cameras available
-        if (cameraManager.hasMultipleCamerasAvailable()) {
+        if (captureOptions.source === 'camera' && cameraManager.hasMultipleCamerasAvailable()) {
             cameraToggle.addEventListener('click', toggleCamera);
         }
 
+        // Live preview: show the time-warped camera view until the user commits to a capture
+        if (captureOptions.livePreview) {
+            frameProcessor.startLivePreview();
+            startCapture.style.display = 'flex';
+            playerControls.style.display = 'none'; // Nothing to play back yet
+            startCapture.addEventListener('click', () => {
+                scrubber.stopTilt();
+                frameProcessor.commitCapture();
+                startCapture.style.display = 'none';
+                playerControls.style.display = 'flex';
+            }, { once: true });
+        }
+
+        // Rolling mode never stops on its own, so offer a freeze control
+        if (captureOptions.captureMode === 'rolling') {
+            freezeCapture.style.display = 'flex';
+            freezeCapture.addEventListener('click', toggleFreeze);
+        }
+
+        // Pause, restart and retake without reloading the page
+        setupCaptureControls({
+            frameProcessor,
+            captureMode: captureOptions.captureMode,
+            onRestart: restartCaptureRun,
+            onRetake: retakeCaptureRun
+        });
+
         // Start processing loop
         startProcessingLoop();
 
-        // Hide welcome screen and show app
-        welcomeScreen.style.display = 'none';
-        app.style.display = 'block';
+        showApp();
 
         console.log('Application started successfully');
 
@@ -86,7 +165,13 @@ startAppBtn.addEventListener('click', async () => {
 
         // Show more specific error messages
         let errorMessage = 'Failed to start camera. Try again?';
-        if (error.name === 'NotAllowedError') {
+        if (captureOptions.source === 'file') {
+            errorMessage = `Could not open video file: ${error.message}`;
+        } else if (captureOptions.source === 'screen') {
+            errorMessage = error.name === 'NotAllowedError' ?
+                'Screen sharing was cancelled. Try again?' :
+                `Screen capture failed: ${error.message}`;
+        } else if (error.name === 'NotAllowedError') {
             errorMessage = 'Camera access denied. Please allow camera access and try again.';
         } else if (error.name === 'NotFoundError') {
             errorMessage = 'No camera found. Please connect a camera and try again.';
@@ -100,11 +185,121 @@ startAppBtn.addEventListener('click', async () => {
 });
 
 
-// Processing loop to handle camera frames
+// Open a capture from the gallery for replay (and optionally export)
+async function openSavedCapture(id, { showExport = false } = {}) {
+    if (!frameProcessor || startAppBtn.textContent !== 'Start') {
+        return;
+    }
+
+    startAppBtn.textContent = 'Opening capture...';
+    startAppBtn.disabled = true;
+
+    try {
+        const { record, slices } = await loadCapture(id);
+        const images = await Promise.all(slices.map(blob => createImageBitmap(blob)));
+
+        showRestoredCapture(record, images, { showExport });
+
+        console.log(`Opened capture ${id} (${record.name})`);
+
+    } catch (error) {
+        console.error('Could not open capture:', error);
+        alert(`Could not open this capture: ${error.message}`);
+        startAppBtn.textContent = 'Start';
+        startAppBtn.disabled = false;
+    }
+}
+
+
+// Open a .timespy project file
+async function openProjectFile(file) {
+    if (!frameProcessor || startAppBtn.textContent !== 'Start') {
+        return;
+    }
+
+    startAppBtn.textContent = 'Opening project...';
+    startAppBtn.disabled = true;
+
+    try {
+        const { manifest, images, customLut } = await readProject(file);
+
+        showRestoredCapture({ ...manifest, customLut }, images);
+
+        console.log(`Opened project ${file.name} (${manifest.sliceCount} slices, ${manifest.width}x${manifest.height})`);
+
+    } catch (error) {
+        console.error('Could not open project:', error);
+        alert(`Could not open ${file.name}: ${error.message}`);
+        startAppBtn.textContent = 'Start';
+        startAppBtn.disabled = false;
+    }
+}
+
+
+// Show a restored capture (from the gallery or a project file) instead of capturing
+function showRestoredCapture(capture, images, { showExport = false } = {}) {
+    frameProcessor.setCanvasBackend(readCaptureOptions().canvasBackend);
+    frameProcessor.restoreCapture(capture, images);
+    images.forEach(image => image.close());
+
+    setupPlaybackControls();
+    showApp();
+
+    if (showExport) {
+        downloadManager.toggleExportPanel();
+    }
+}
+
+
+// Controls for a capture on screen, whether live or reopened
+function setupPlaybackControls() {
+    // Initialize download manager with canvas manager from frame processor
+    downloadManager = new DownloadManager(frameProcessor.canvasManager, frameProcessor);
+
+    // Color grading applies to the animation and is baked into exports
+    setupColorControls(frameProcessor.colorGrader);
+
+    // Play/pause, stepping, playback mode and frame rate
+    setupPlayerControls(frameProcessor);
+
+    // Drag, scroll or tilt to move through the slices by hand
+    scrubber = new Scrubber(frameProcessor);
+}
+
+
+// Hide welcome screen and show app
+function showApp() {
+    welcomeScreen.style.display = 'none';
+    app.style.display = 'block';
+}
+
+
+// Open a project file picked on the welcome screen
+if (openProjectButton && projectFileInput) {
+    openProjectButton.addEventListener('click', () => projectFileInput.click());
+    projectFileInput.addEventListener('change', () => {
+        const file = projectFileInput.files[0];
+        projectFileInput.value = '';
+        if (file) {
+            openProjectFile(file);
+        }
+    });
+}
+
+
+// Start as soon as a video file has been picked from the start button's prompt
+videoFileInput.addEventListener('change', () => {
+    if (videoFileInput.files.length > 0 && startAppBtn.textContent === 'Start') {
+        startAppBtn.click();
+    }
+});
+
+
+// Processing loop to handle camera (or video file) frames
 async function startProcessingLoop() {
     try {
-        // Get the frame stream from camera
-        const frameStream = cameraManager.getFrameStream();
+        // Get the frame stream from the active source
+        const frameStream = frameSource.getFrameStream();
 
         // Process frames
         for await (const frame of frameStream) {
@@ -144,10 +339,75 @@ async function toggleCamera() {
 }
 
 
+// Freeze / resume rolling capture
+function toggleFreeze() {
+    const isFrozen = frameProcessor.toggleFreeze();
+    updateFreezeButton(isFrozen);
+}
+
+function updateFreezeButton(isFrozen) {
+    freezeCapture.title = isFrozen ? 'Resume' : 'Freeze';
+    freezeCapture.querySelector('.material-symbols-outlined').textContent = isFrozen ? 'play_arrow' : 'ac_unit';
+}
+
+
+// Reopen the frame source if it was stopped (it is when a capture completes)
+async function ensureSourceStreaming() {
+    if (frameSource.isStreaming) {
+        return;
+    }
+
+    let sourceInfo;
+    if (frameSource !== cameraManager) {
+        sourceInfo = await frameSource.initialize();
+    } else if (cameraManager.sourceType === 'screen') {
+        sourceInfo = await cameraManager.initializeDisplay();
+    } else {
+        sourceInfo = await cameraManager.initialize();
+    }
+
+    // The source may come back at another size (e.g. a different window or camera
+    // resolution); resize the slices to match, which drops the lines a retake kept
+    const { width, height } = frameProcessor.getCanvasManager();
+    if (sourceInfo.width !== width || sourceInfo.height !== height) {
+        frameProcessor.setDimensions(sourceInfo.width, sourceInfo.height);
+    }
+
+    startProcessingLoop();
+}
+
+
+// Clear the slices and capture again from the first line
+async function restartCaptureRun() {
+    try {
+        scrubber.stopTilt(); // Tilt would hold the slice shown while the new capture fills in
+        frameProcessor.restart();
+        updateFreezeButton(false);
+        await ensureSourceStreaming();
+    } catch (error) {
+        console.error('Restart failed:', error);
+        alert(`Could not restart the capture: ${error.message}`);
+    }
+}
+
+
+// Capture again from a given line, keeping the lines before it
+async function retakeCaptureRun(step) {
+    try {
+        scrubber.stopTilt();
+        frameProcessor.retakeFrom(step);
+        await ensureSourceStreaming();
+    } catch (error) {
+        console.error('Retake failed:', error);
+        alert(`Could not retake the capture: ${error.message}`);
+    }
+}
+
+
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
-    if (cameraManager) {
-        cameraManager.stop();
+    if (frameSource) {
+        frameSource.stop();
     }
     if (frameProcessor) {
         frameProcessor.cleanup();
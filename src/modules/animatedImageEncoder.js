@@ -0,0 +1,303 @@
+// animatedImageEncoder.js
+
+// Assembles animated PNG (APNG) and animated WebP files from still images
+// produced by the browser's own encoders (canvas.toBlob). Only the containers
+// are written here; the pixel data is reused as-is, so no re-encoding happens.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// CRC-32 table used by PNG chunks
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 over one or more byte arrays
+ * @param {...Uint8Array} parts - Bytes to checksum, in order
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(...parts) {
+    let crc = 0xffffffff;
+    parts.forEach(bytes => {
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+    });
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Uint8Array[]} parts - Byte arrays
+ * @returns {Uint8Array} Combined bytes
+ */
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+/**
+ * Read the chunks of a PNG file
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {{type: string, data: Uint8Array}[]} Chunks in file order
+ */
+function readPngChunks(bytes) {
+    for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+        if (bytes[i] !== PNG_SIGNATURE[i]) {
+            throw new Error('Not a PNG image');
+        }
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length; // length + type + data + crc
+        if (type === 'IEND') break;
+    }
+
+    return chunks;
+}
+
+/**
+ * Build a PNG chunk (length, type, data, crc)
+ * @param {string} type - Four character chunk type
+ * @param {Uint8Array} data - Chunk payload
+ * @returns {Uint8Array} Encoded chunk
+ */
+function pngChunk(type, data) {
+    const typeBytes = new TextEncoder().encode(type);
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(typeBytes, 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(typeBytes, data));
+    return chunk;
+}
+
+/**
+ * Build an APNG frame control (fcTL) payload
+ * @param {number} sequence - Sequence number
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {number} delay - Frame delay in milliseconds
+ * @returns {Uint8Array} fcTL payload
+ */
+function frameControl(sequence, width, height, delay) {
+    const data = new Uint8Array(26);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, sequence);
+    view.setUint32(4, width);
+    view.setUint32(8, height);
+    view.setUint32(12, 0); // x offset
+    view.setUint32(16, 0); // y offset
+    view.setUint16(20, Math.max(1, Math.round(delay))); // delay numerator
+    view.setUint16(22, 1000); // delay denominator (milliseconds)
+    data[24] = 0; // dispose: none
+    data[25] = 0; // blend: source (frames are opaque and full size)
+    return data;
+}
+
+/**
+ * Encode an endlessly looping APNG from full-size PNG frames
+ * @param {object} options
+ * @param {Uint8Array[]} options.frames - PNG files, one per animation frame (same size and format)
+ * @param {number} options.delay - Delay per frame in milliseconds
+ * @returns {Uint8Array} The APNG file bytes
+ */
+export function encodeApng({ frames, delay }) {
+    if (frames.length === 0) {
+        throw new Error('No frames to encode');
+    }
+
+    const parts = [new Uint8Array(PNG_SIGNATURE)];
+    let sequence = 0;
+    let header = null;
+
+    frames.forEach((png, frameIndex) => {
+        const chunks = readPngChunks(png);
+        const ihdr = chunks.find(chunk => chunk.type === 'IHDR');
+        const imageData = chunks.filter(chunk => chunk.type === 'IDAT');
+
+        if (!ihdr || imageData.length === 0) {
+            throw new Error(`Frame ${frameIndex} is not a valid PNG`);
+        }
+
+        const ihdrView = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.byteLength);
+        const width = ihdrView.getUint32(0);
+        const height = ihdrView.getUint32(4);
+
+        if (frameIndex === 0) {
+            header = ihdr.data;
+
+            // Animation control: frame count, 0 plays = loop forever
+            const actl = new Uint8Array(8);
+            new DataView(actl.buffer).setUint32(0, frames.length);
+            parts.push(pngChunk('IHDR', header), pngChunk('acTL', actl));
+        } else if (!header.every((value, i) => value === ihdr.data[i])) {
+            // All frames share the first frame's IHDR, so bit depth and color type must match
+            throw new Error(`Frame ${frameIndex} has a different PNG format than frame 0`);
+        }
+
+        parts.push(pngChunk('fcTL', frameControl(sequence++, width, height, delay)));
+
+        imageData.forEach(chunk => {
+            if (frameIndex === 0) {
+                // The first frame doubles as the default image
+                parts.push(pngChunk('IDAT', chunk.data));
+            } else {
+                const fdat = new Uint8Array(4 + chunk.data.length);
+                new DataView(fdat.buffer).setUint32(0, sequence++);
+                fdat.set(chunk.data, 4);
+                parts.push(pngChunk('fdAT', fdat));
+            }
+        });
+    });
+
+    parts.push(pngChunk('IEND', new Uint8Array(0)));
+    return concatBytes(parts);
+}
+
+/**
+ * Read the chunks of a WebP (RIFF) file
+ * @param {Uint8Array} bytes - WebP file
+ * @returns {{type: string, data: Uint8Array}[]} Chunks in file order
+ */
+function readWebpChunks(bytes) {
+    const riff = String.fromCharCode(...bytes.subarray(0, 4));
+    const webp = String.fromCharCode(...bytes.subarray(8, 12));
+    if (riff !== 'RIFF' || webp !== 'WEBP') {
+        throw new Error('Not a WebP image');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+
+    while (offset + 8 <= bytes.length) {
+        const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const length = view.getUint32(offset + 4, true);
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 8 + length + (length % 2); // chunks are padded to an even size
+    }
+
+    return chunks;
+}
+
+/**
+ * Build a RIFF chunk (type, little-endian length, data, padding)
+ * @param {string} type - Four character chunk type
+ * @param {Uint8Array} data - Chunk payload
+ * @returns {Uint8Array} Encoded chunk
+ */
+function riffChunk(type, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+    chunk.set(new TextEncoder().encode(type), 0);
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+}
+
+/**
+ * Write a 24-bit little-endian value
+ * @param {Uint8Array} target - Destination bytes
+ * @param {number} offset - Write position
+ * @param {number} value - Value to write (0 to 2^24 - 1)
+ */
+function writeUint24(target, offset, value) {
+    target[offset] = value & 0xff;
+    target[offset + 1] = (value >> 8) & 0xff;
+    target[offset + 2] = (value >> 16) & 0xff;
+}
+
+/**
+ * Encode an endlessly looping animated WebP from full-size WebP frames
+ * Frames may be lossy (VP8, optionally with ALPH) or lossless (VP8L).
+ * @param {object} options
+ * @param {Uint8Array[]} options.frames - WebP files, one per animation frame
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {number} options.delay - Delay per frame in milliseconds
+ * @returns {Uint8Array} The animated WebP file bytes
+ */
+export function encodeAnimatedWebp({ frames, width, height, delay }) {
+    if (frames.length === 0) {
+        throw new Error('No frames to encode');
+    }
+
+    let hasAlpha = false;
+    const duration = Math.max(1, Math.round(delay));
+
+    const animationFrames = frames.map((webp, frameIndex) => {
+        // Keep only the image bitstream chunks; metadata belongs to the container
+        const imageChunks = readWebpChunks(webp).filter(chunk =>
+            chunk.type === 'ALPH' || chunk.type === 'VP8 ' || chunk.type === 'VP8L'
+        );
+        if (imageChunks.length === 0) {
+            throw new Error(`Frame ${frameIndex} is not a valid WebP`);
+        }
+        if (imageChunks.some(chunk => chunk.type === 'ALPH' || chunk.type === 'VP8L')) {
+            hasAlpha = true;
+        }
+
+        const frameHeader = new Uint8Array(16);
+        writeUint24(frameHeader, 0, 0); // x offset / 2
+        writeUint24(frameHeader, 3, 0); // y offset / 2
+        writeUint24(frameHeader, 6, width - 1);
+        writeUint24(frameHeader, 9, height - 1);
+        writeUint24(frameHeader, 12, duration);
+        frameHeader[15] = 0x02; // do not blend, do not dispose
+
+        return riffChunk('ANMF', concatBytes([frameHeader, ...imageChunks.map(chunk => riffChunk(chunk.type, chunk.data))]));
+    });
+
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0); // animation flag (+ alpha flag)
+    writeUint24(vp8x, 4, width - 1);
+    writeUint24(vp8x, 7, height - 1);
+
+    const anim = new Uint8Array(6); // background color 0, loop count 0 = forever
+
+    const body = concatBytes([
+        new TextEncoder().encode('WEBP'),
+        riffChunk('VP8X', vp8x),
+        riffChunk('ANIM', anim),
+        ...animationFrames
+    ]);
+
+    const header = new Uint8Array(8);
+    header.set(new TextEncoder().encode('RIFF'), 0);
+    new DataView(header.buffer).setUint32(4, body.length, true);
+
+    return concatBytes([header, body]);
+}
+
+/**
+ * Check whether the browser can encode WebP from a canvas (Safari and older Firefox can't)
+ * @returns {boolean} True if canvas WebP encoding is available
+ */
+export function canEncodeWebp() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    return canvas.toDataURL('image/webp').startsWith('data:image/webp');
+}
@@ -1,17 +1,50 @@
 import { previewCanvas } from './domElements.js';
+import { getPlaybackMode, DEFAULT_PLAYBACK_MODE } from './playbackModes.js';
+
+// Graded slices are cached so a finished capture isn't regraded on every loop.
+// Above this many slices the cache would double an already large memory footprint,
+// so slices are graded on the fly instead and only the slice on screen is kept.
+const GRADE_CACHE_LIMIT = 60;
+
+// The shown slice is redrawn at least this often, even when paused or playing slowly,
+// so lines written during capture and grade changes show up promptly
+const REFRESH_INTERVAL_MS = 33;
+
+// While a capture is writing lines the slices change on every sync; grading a full
+// frame on the main thread that often would compete with the capture, so the graded
+// view is refreshed at most this often and the last grade is held in between
+const LIVE_GRADE_INTERVAL_MS = 250;
 
 export class AnimationRenderer {
-    constructor(canvasManager) {
+    /**
+     * @param {CanvasManager} canvasManager - Holds the slice canvases
+     * @param {ColorGrader|null} colorGrader - Grade applied at display time
+     */
+    constructor(canvasManager, colorGrader = null) {
         this.canvasManager = canvasManager;
+        this.colorGrader = colorGrader;
+        this.gradeCache = new Map(); // Slice index -> { canvas, version }
+        this.slicesChangedAt = -Infinity; // When a capture last wrote lines into the slices
+        this.lastGradeTime = -Infinity;
         this.previewCanvas = previewCanvas;
         this.previewCtx = null;
         this.isRendering = false;
         this.currentFrameIndex = 0;
-        this.direction = 1; // 1 for forward (0→29), -1 for backward (29→0)
-        this.renderingInterval = null;
+        this.direction = 1; // 1 for forward (0→last), -1 for backward (last→0)
+        this.animationFrameId = null;
         this.frameRate = 30; // 30 FPS for smooth animation
         this.frameInterval = 1000 / this.frameRate; // ~33.33ms between frames
 
+        // Playback is driven by elapsed time, so a throttled tab catches up instead of slowing down
+        this.playbackModeName = DEFAULT_PLAYBACK_MODE;
+        this.playbackMode = getPlaybackMode(this.playbackModeName);
+        this.isPlaying = true; // False while paused by the user (the loop keeps refreshing the held slice)
+        this.playbackPosition = 0; // Slices advanced since playback started (fractional)
+        this.lastTickTime = null;
+        this.lastRenderTime = 0;
+        this.renderedIndex = -1;
+        this.onPlaybackChange = null; // Called when playback starts or stops on its own (e.g. 'once' reaching the end)
+        this.tick = this.tick.bind(this);
     }
 
 
@@ -29,15 +62,13 @@ export class AnimationRenderer {
         }
 
         this.isRendering = true;
-        this.currentFrameIndex = 0;
         this.direction = 1; // Start going forward
+        this.seek(this.playbackMode.frameAt(0, this.canvasManager.canvasCount));
+        this.lastTickTime = null;
 
-        // Use setInterval for consistent 30 FPS
-        this.renderingInterval = setInterval(() => {
-            this.renderCurrentFrame();
-        }, this.frameInterval);
+        this.animationFrameId = requestAnimationFrame(this.tick);
 
-        console.log('Animation rendering started at 30 FPS');
+        console.log(`Animation rendering started at ${this.frameRate} FPS (${this.playbackModeName})`);
     }
 
     /**
@@ -50,14 +81,57 @@ export class AnimationRenderer {
 
         this.isRendering = false;
 
-        if (this.renderingInterval) {
-            clearInterval(this.renderingInterval);
-            this.renderingInterval = null;
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
         }
 
         console.log('Animation rendering stopped');
     }
 
+    /**
+     * One animation frame: advance playback by the elapsed time and redraw if needed
+     * @param {number} now - requestAnimationFrame timestamp (ms)
+     */
+    tick(now) {
+        if (!this.isRendering) {
+            return;
+        }
+        this.animationFrameId = requestAnimationFrame(this.tick);
+
+        const elapsed = this.lastTickTime === null ? 0 : now - this.lastTickTime;
+        this.lastTickTime = now;
+
+        if (this.isPlaying) {
+            this.advance(elapsed);
+        }
+
+        if (this.currentFrameIndex !== this.renderedIndex || now - this.lastRenderTime >= REFRESH_INTERVAL_MS) {
+            this.lastRenderTime = now;
+            this.renderCurrentFrame();
+        }
+    }
+
+    /**
+     * Move playback forward in time
+     * @param {number} elapsed - Milliseconds since the last tick
+     */
+    advance(elapsed) {
+        const count = this.canvasManager.canvasCount;
+        this.playbackPosition += (elapsed / 1000) * this.frameRate;
+
+        if (this.playbackMode.isFinished(this.playbackPosition, count)) {
+            this.playbackPosition = count - 1;
+            this.setPlaying(false);
+        }
+
+        const index = this.playbackMode.frameAt(this.playbackPosition, count);
+        if (index !== this.currentFrameIndex) {
+            this.direction = index > this.currentFrameIndex ? 1 : -1;
+            this.currentFrameIndex = index;
+        }
+    }
+
     /**
      * Render the current frame by showing the appropriate DOM canvas
      */
@@ -67,25 +141,217 @@ export class AnimationRenderer {
         }
 
         try {
-
-            // console.log(`Rendering frame ${this.currentFrameIndex} (direction: ${this.direction})`);
             // Simply show the current canvas and hide others
             this.canvasManager.showCanvas(this.currentFrameIndex);
+            this.renderGradedFrame(this.currentFrameIndex);
+            this.renderedIndex = this.currentFrameIndex;
+
+        } catch (error) {
+            console.error('Error rendering frame:', error);
+        }
+    }
+
+    /**
+     * Start or stop playback (the held slice stays on screen)
+     * @param {boolean} playing - True to play
+     */
+    setPlaying(playing) {
+        if (playing === this.isPlaying) {
+            return;
+        }
+
+        // Replaying a finished 'once' playback starts it over
+        const count = this.canvasManager.canvasCount;
+        if (playing && this.playbackMode.isFinished(this.playbackPosition, count)) {
+            this.seek(0);
+        }
+
+        this.isPlaying = playing;
+        if (this.onPlaybackChange) {
+            this.onPlaybackChange(playing);
+        }
+    }
+
+    /**
+     * Toggle between playing and paused
+     * @returns {boolean} True if now playing
+     */
+    togglePlaying() {
+        this.setPlaying(!this.isPlaying);
+        return this.isPlaying;
+    }
+
+    /**
+     * Pause and move by whole slices
+     * @param {number} delta - Slices to move (negative steps back), wrapping around the ends
+     */
+    step(delta) {
+        const count = this.canvasManager.canvasCount;
+        this.setPlaying(false);
+        this.seek((((this.currentFrameIndex + delta) % count) + count) % count);
+    }
+
+    /**
+     * Show a given slice; playback continues from there
+     * @param {number} frameIndex - Slice to show
+     */
+    seek(frameIndex) {
+        const count = this.canvasManager.canvasCount;
+        const index = Math.min(count - 1, Math.max(0, Math.round(frameIndex)));
+        this.currentFrameIndex = index;
+        this.playbackPosition = this.playbackMode.positionOf(index, count);
+        this.renderedIndex = -1; // Redraw on the next tick
+    }
+
+    /**
+     * Select how playback walks through the slices, continuing from the current slice
+     * @param {string} name - Key in PLAYBACK_MODES
+     */
+    setPlaybackMode(name) {
+        this.playbackModeName = name;
+        this.playbackMode = getPlaybackMode(name);
+        this.seek(this.currentFrameIndex);
+        console.log(`Playback mode set to ${name}`);
+    }
+
+    /**
+     * Playback choices to carry over to a new renderer (e.g. after a camera toggle)
+     * @returns {{playbackMode: string, frameRate: number, isPlaying: boolean}} Playback settings
+     */
+    getPlaybackSettings() {
+        return {
+            playbackMode: this.playbackModeName,
+            frameRate: this.frameRate,
+            isPlaying: this.isPlaying
+        };
+    }
+
+    /**
+     * Apply settings from getPlaybackSettings()
+     * @param {{playbackMode: string, frameRate: number, isPlaying: boolean}} settings - Playback settings
+     */
+    applyPlaybackSettings({ playbackMode, frameRate, isPlaying }) {
+        this.setPlaybackMode(playbackMode);
+        this.setFrameRate(frameRate);
+        this.isPlaying = isPlaying;
+    }
+
+    /**
+     * Draw the graded version of a slice over the slice canvases.
+     * The slice canvases stay untouched, so changing the grade is always reversible.
+     * @param {number} frameIndex - Slice to draw
+     */
+    renderGradedFrame(frameIndex) {
+        if (!this.colorGrader || !this.colorGrader.isActive()) {
+            this.hidePreview();
+            return;
+        }
+
+        this.showPreview();
+
+        const cached = this.gradeCache.get(frameIndex);
+        if (cached && cached.version === this.colorGrader.version) {
+            this.previewCtx.drawImage(cached.canvas, 0, 0);
+            return;
+        }
+
+        const now = performance.now();
+        const isWriting = now - this.slicesChangedAt < LIVE_GRADE_INTERVAL_MS;
+        if (isWriting && now - this.lastGradeTime < LIVE_GRADE_INTERVAL_MS) {
+            return;
+        }
+
+        const { width, height, canvasCount } = this.canvasManager;
+        this.colorGrader.drawGraded(this.previewCtx, this.canvasManager.getSliceSource(frameIndex), width, height, frameIndex, canvasCount);
+        this.lastGradeTime = now;
+
+        // Above the limit, keep just this slice (reusing the previous one's canvas),
+        // so a held or paused slice isn't regraded on every refresh
+        let entry = cached;
+        if (!entry && canvasCount > GRADE_CACHE_LIMIT && this.gradeCache.size > 0) {
+            const [[previousIndex, previous]] = this.gradeCache;
+            this.gradeCache.delete(previousIndex);
+            entry = previous;
+        }
+        const canvas = entry ? entry.canvas : new OffscreenCanvas(width, height);
+        canvas.getContext('2d').drawImage(this.previewCanvas, 0, 0);
+        this.gradeCache.set(frameIndex, { canvas, version: this.colorGrader.version });
+    }
+
+    /**
+     * Note that a capture wrote lines into the slices: cached grades are stale, and
+     * regrading is throttled until the writes stop
+     */
+    markSlicesChanged() {
+        this.invalidateGradeCache();
+        this.slicesChangedAt = performance.now();
+    }
+
+    /**
+     * Discard cached grades (call when slice contents change)
+     */
+    invalidateGradeCache() {
+        this.gradeCache.forEach(entry => {
+            entry.version = -1;
+        });
+    }
+
+    /**
+     * Size the preview canvas to match the capture and grab its context
+     */
+    initializePreviewCanvas() {
+        if (!this.previewCanvas) {
+            return;
+        }
+
+        if (this.previewCanvas.width !== this.canvasManager.width ||
+            this.previewCanvas.height !== this.canvasManager.height) {
+            this.previewCanvas.width = this.canvasManager.width;
+            this.previewCanvas.height = this.canvasManager.height;
+        }
 
-            // Move to next frame with ping-pong behavior (0→29→28→...→1→0→1→...)
-            this.currentFrameIndex += this.direction;
+        if (!this.previewCtx) {
+            this.previewCtx = this.previewCanvas.getContext('2d', {
+                alpha: false,
+                desynchronized: true,
+                willReadFrequently: true // Grading reads the pixels back
+            });
+        }
+    }
 
-            // Check boundaries and reverse direction if needed
-            if (this.currentFrameIndex >= 29) {
-                this.currentFrameIndex = 29;
-                this.direction = -1; // Start going backward
-            } else if (this.currentFrameIndex <= 0) {
-                this.currentFrameIndex = 0;
-                this.direction = 1; // Start going forward
-            }
+    /**
+     * Show the preview canvas on top of the slice canvases
+     */
+    showPreview() {
+        if (!this.previewCanvas) {
+            return;
+        }
+        this.initializePreviewCanvas();
+        this.previewCanvas.style.display = 'block';
+    }
 
+    /**
+     * Hide the preview canvas
+     */
+    hidePreview() {
+        if (this.previewCanvas) {
+            this.previewCanvas.style.display = 'none';
+        }
+    }
+
+    /**
+     * Draw the live time-warp preview onto the preview canvas
+     * @param {TimeWarpBuffer} timeWarpBuffer - Buffer holding recent camera frames
+     */
+    renderLivePreview(timeWarpBuffer) {
+        if (!this.previewCtx) {
+            return;
+        }
+
+        try {
+            timeWarpBuffer.render(this.previewCtx, this.previewCanvas.width, this.previewCanvas.height);
         } catch (error) {
-            console.error('Error rendering frame:', error);
+            console.error('Error rendering live preview:', error);
         }
     }
 
@@ -99,17 +365,17 @@ export class AnimationRenderer {
     }
 
     /**
-     * Manually render a specific frame (useful for debugging)
-     * @param {number} frameIndex - Frame index to render (0-29)
+     * Render a specific frame right away (used for scrubbing); playback continues from it
+     * @param {number} frameIndex - Frame index to render (0 to canvasCount - 1)
      */
     renderSpecificFrame(frameIndex) {
-        if (frameIndex < 0 || frameIndex >= 30) {
+        if (frameIndex < 0 || frameIndex >= this.canvasManager.canvasCount) {
             console.warn(`Invalid frame index: ${frameIndex}`);
             return;
         }
-        console.log(`Rendering frame ${frameIndex}`);
-        // Simply show the specified canvas
-        this.canvasManager.showCanvas(frameIndex);
+        this.direction = frameIndex >= this.currentFrameIndex ? 1 : -1;
+        this.seek(frameIndex);
+        this.renderCurrentFrame();
     }
 
     /**
@@ -122,15 +388,10 @@ export class AnimationRenderer {
             return;
         }
 
+        // Playback is time-based, so the new rate applies from the next tick
         this.frameRate = fps;
         this.frameInterval = 1000 / this.frameRate;
 
-        // Restart rendering with new frame rate if currently rendering
-        if (this.isRendering) {
-            this.stopRendering();
-            this.startRendering();
-        }
-
         console.log(`Animation frame rate set to ${fps} FPS`);
     }
 
@@ -141,6 +402,8 @@ export class AnimationRenderer {
     getStatus() {
         return {
             isRendering: this.isRendering,
+            isPlaying: this.isPlaying,
+            playbackMode: this.playbackModeName,
             currentFrame: this.currentFrameIndex,
             direction: this.direction > 0 ? 'forward' : 'backward',
             frameRate: this.frameRate,
@@ -162,6 +425,8 @@ export class AnimationRenderer {
      */
     cleanup() {
         this.stopRendering();
+        this.hidePreview();
+        this.gradeCache.clear();
         this.currentFrameIndex = 0;
         this.direction = 1;
 
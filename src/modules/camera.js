@@ -14,6 +14,7 @@ export class CameraManager {
         this.currentFacingMode = this.getPreferredFacingMode(); // Smart default based on viewport
         this.isStreaming = false;
         this.hasMultipleCameras = false;
+        this.sourceType = 'camera'; // 'camera' or 'screen'
 
         // Calculate optimal resolution based on viewport
         this.calculateOptimalResolution();
@@ -93,28 +94,16 @@ export class CameraManager {
             };
 
             // Get user media stream
+            this.sourceType = 'camera';
             this.stream = await navigator.mediaDevices.getUserMedia({
                 video: videoConstraints
-            }); this.updateDebug('Camera access granted, setting up stream processor...');            // Check if MediaStreamTrackProcessor is supported
-            if (!window.MediaStreamTrackProcessor) {
-                throw new Error('MediaStreamTrackProcessor not supported in this browser');
-            }
-
-            // Get video track and create processor
-            const track = this.stream.getVideoTracks()[0];
-            const processor = new MediaStreamTrackProcessor({ track });
-            this.reader = processor.readable.getReader();
+            });
+            this.updateDebug('Camera access granted, setting up stream processor...');
 
-            // Get first frame to determine actual dimensions
-            const { value: firstFrame } = await this.reader.read();
-            this.videoWidth = firstFrame.displayWidth;
-            this.videoHeight = firstFrame.displayHeight;
+            await this.setupStreamReader();
 
             this.updateDebug(`Camera stream ready (${this.videoWidth}x${this.videoHeight})`);
 
-            // Close the first frame
-            firstFrame.close();
-
             return {
                 width: this.videoWidth,
                 height: this.videoHeight,
@@ -127,6 +116,80 @@ export class CameraManager {
         }
     }
 
+    /**
+     * Capture a screen, window or tab instead of the camera
+     * @returns {Promise<{width: number, height: number, facingMode: null}>} Capture dimensions
+     */
+    async initializeDisplay() {
+        try {
+            if (!navigator.mediaDevices?.getDisplayMedia) {
+                throw new Error('Screen capture is not supported in this browser');
+            }
+
+            // There is only one screen source, so the camera toggle doesn't apply
+            this.hasMultipleCameras = false;
+            cameraToggle.style.display = 'none';
+
+            this.updateDebug('Requesting screen capture...');
+
+            this.sourceType = 'screen';
+            this.stream = await navigator.mediaDevices.getDisplayMedia({
+                video: {
+                    width: { max: 1920 },
+                    height: { max: 1080 },
+                    frameRate: { ideal: 30, max: 60 }
+                },
+                audio: false
+            });
+            this.updateDebug('Screen capture granted, setting up stream processor...');
+
+            // Stop cleanly when the user ends sharing from the browser UI
+            this.stream.getVideoTracks()[0].addEventListener('ended', () => {
+                console.log('🛑 Screen sharing ended by the user');
+                this.updateDebug('Screen sharing ended');
+                this.stop();
+            });
+
+            await this.setupStreamReader();
+
+            this.updateDebug(`Screen stream ready (${this.videoWidth}x${this.videoHeight})`);
+
+            return {
+                width: this.videoWidth,
+                height: this.videoHeight,
+                facingMode: null
+            };
+        } catch (error) {
+            this.updateDebug(`Screen capture error: ${error.message}`);
+            console.error('Screen capture initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a frame reader for the current stream (native MediaStreamTrackProcessor or the polyfill)
+     * and read the first frame to learn the actual dimensions
+     */
+    async setupStreamReader() {
+        // Check if MediaStreamTrackProcessor is supported
+        if (!window.MediaStreamTrackProcessor) {
+            throw new Error('MediaStreamTrackProcessor not supported in this browser');
+        }
+
+        // Get video track and create processor
+        const track = this.stream.getVideoTracks()[0];
+        const processor = new MediaStreamTrackProcessor({ track });
+        this.reader = processor.readable.getReader();
+
+        // Get first frame to determine actual dimensions
+        const { value: firstFrame } = await this.reader.read();
+        this.videoWidth = firstFrame.displayWidth;
+        this.videoHeight = firstFrame.displayHeight;
+
+        // Close the first frame
+        firstFrame.close();
+    }
+
     async setupCameraToggle() {
         try {
             const devices = await navigator.mediaDevices.enumerateDevices();
@@ -226,16 +289,8 @@ export class CameraManager {
             this.stream = stream;
             this.currentFacingMode = actualFacingMode;
 
-            // Set up new stream processor
-            const track = this.stream.getVideoTracks()[0];
-            const processor = new MediaStreamTrackProcessor({ track });
-            this.reader = processor.readable.getReader();
-
-            // Update actual dimensions from the new stream
-            const { value: firstFrame } = await this.reader.read();
-            this.videoWidth = firstFrame.displayWidth;
-            this.videoHeight = firstFrame.displayHeight;
-            firstFrame.close();
+            // Set up new stream processor and update actual dimensions from the new stream
+            await this.setupStreamReader();
 
             this.updateDebug(`Switched to ${this.currentFacingMode} camera (${this.videoWidth}x${this.videoHeight})`);
 
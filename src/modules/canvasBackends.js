@@ -0,0 +1,33 @@
+// canvasBackends.js
+import { CanvasManager } from './canvasManager.js';
+import { SingleCanvasManager } from './singleCanvasManager.js';
+
+// Ways of holding and displaying the slices: one full-size DOM canvas per slice, or plain
+// pixel data per slice shown through a single display canvas (no per-slice GPU surfaces).
+export const CANVAS_BACKENDS = {
+    stacked: {
+        label: 'Stacked canvases',
+        create: (canvasCount) => new CanvasManager(canvasCount)
+    },
+    single: {
+        label: 'Single canvas (slices as pixel data)',
+        create: (canvasCount) => new SingleCanvasManager(canvasCount)
+    }
+};
+
+export const DEFAULT_CANVAS_BACKEND = 'stacked';
+
+/**
+ * Create a canvas manager for a display backend
+ * @param {string} name - Key in CANVAS_BACKENDS
+ * @param {number} canvasCount - Number of slices
+ * @returns {CanvasManager} The canvas manager
+ */
+export function createCanvasManager(name, canvasCount) {
+    const backend = CANVAS_BACKENDS[name];
+    if (!backend) {
+        console.warn(`Unknown canvas backend "${name}", using ${DEFAULT_CANVAS_BACKEND}`);
+        return CANVAS_BACKENDS[DEFAULT_CANVAS_BACKEND].create(canvasCount);
+    }
+    return backend.create(canvasCount);
+}
@@ -1,14 +1,36 @@
+import { getScanLength } from './scanAxes.js';
+
+// Number of time slices (canvases) used unless the user picks another count
+export const DEFAULT_SLICE_COUNT = 30;
+export const MIN_SLICE_COUNT = 2;
+export const MAX_SLICE_COUNT = 240;
+
+// Rows per drawImage call when copying a diagonal; each call blits a square this size
+const DIAGONAL_RUN_LENGTH = 16;
+
 export class CanvasManager {
-    constructor() {
+    constructor(canvasCount = DEFAULT_SLICE_COUNT) {
         this.canvases = [];
         this.contexts = [];
-        this.canvasCount = 30;
+        this.canvasCount = canvasCount;
         this.width = 0;
         this.height = 0;
         this.isInitialized = false;
         this.currentlyVisibleIndex = -1; // Track which canvas is currently visible
     }
 
+    /**
+     * Set the number of time slices (takes effect on the next initialize)
+     * @param {number} count - Number of canvases to create
+     */
+    setCanvasCount(count) {
+        const clamped = Math.min(MAX_SLICE_COUNT, Math.max(MIN_SLICE_COUNT, Math.round(count)));
+        if (clamped !== count) {
+            console.warn(`Slice count ${count} out of range, using ${clamped}`);
+        }
+        this.canvasCount = clamped;
+    }
+
     /**
      * Initialize the canvas manager with viewport dimensions
      * @param {number} width - Width of the viewport/video
@@ -21,47 +43,80 @@ export class CanvasManager {
         // Clear existing canvases if reinitializing
         this.cleanup();
 
-        // Create 30 regular DOM canvases
+        // Create one regular DOM canvas per time slice
         for (let i = 0; i < this.canvasCount; i++) {
-            const canvas = document.createElement('canvas');
-            canvas.width = width;
-            canvas.height = height;
-            canvas.id = `timespy-canvas-${i}`;
-
-            // Set CSS for full viewport coverage and initially hidden
-            canvas.style.position = 'absolute';
-            canvas.style.top = '0';
-            canvas.style.left = '0';
-            canvas.style.width = '100vw';
-            canvas.style.height = '100vh';
-            canvas.style.objectFit = 'cover';
-            canvas.style.display = 'none'; // Initially hidden
-            canvas.style.zIndex = '1'; // Below UI elements
-
-            const ctx = canvas.getContext('2d', {
-                willReadFrequently: false,  // We're mostly writing
-                alpha: false,               // No transparency needed
-                desynchronized: true        // Allow async rendering
-            });
+            const { canvas, ctx } = this.createPageCanvas(`timespy-canvas-${i}`);
+            this.canvases.push(canvas);
+            this.contexts.push(ctx);
+        }
 
-            // Initialize canvas with transparent background
-            ctx.clearRect(0, 0, width, height);
+        this.isInitialized = true;
+        console.log(`CanvasManager initialized with ${this.canvasCount} DOM canvases (${width}x${height})`);
+    }
 
-            // Append to the app container
-            const appElement = document.getElementById('app');
-            if (appElement) {
-                appElement.appendChild(canvas);
-            }
+    /**
+     * Create a hidden full-viewport canvas in the app container
+     * @param {string} id - Element id
+     * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}} The canvas and its context
+     */
+    createPageCanvas(id) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        canvas.id = id;
+
+        // Set CSS for full viewport coverage and initially hidden
+        canvas.style.position = 'absolute';
+        canvas.style.top = '0';
+        canvas.style.left = '0';
+        canvas.style.width = '100vw';
+        canvas.style.height = '100vh';
+        canvas.style.objectFit = 'cover';
+        canvas.style.display = 'none'; // Initially hidden
+        canvas.style.zIndex = '1'; // Below UI elements
+
+        const ctx = canvas.getContext('2d', {
+            willReadFrequently: false,  // We're mostly writing
+            alpha: false,               // No transparency needed
+            desynchronized: true        // Allow async rendering
+        });
+
+        // Initialize canvas with transparent background
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        // Append to the app container
+        const appElement = document.getElementById('app');
+        if (appElement) {
+            appElement.appendChild(canvas);
+        }
+
+        return { canvas, ctx };
+    }
 
+    /**
+     * Initialize with OffscreenCanvases instead of DOM canvases (for use inside a Worker)
+     * @param {number} width - Width of the video
+     * @param {number} height - Height of the video
+     */
+    initializeOffscreen(width, height) {
+        this.width = width;
+        this.height = height;
+        this.cleanup();
+
+        for (let i = 0; i < this.canvasCount; i++) {
+            const canvas = new OffscreenCanvas(width, height);
+            const ctx = canvas.getContext('2d', { alpha: false });
             this.canvases.push(canvas);
             this.contexts.push(ctx);
         }
 
         this.isInitialized = true;
-        console.log(`CanvasManager initialized with ${this.canvasCount} DOM canvases (${width}x${height})`);
-    }    /**
+        console.log(`CanvasManager initialized with ${this.canvasCount} OffscreenCanvases (${width}x${height})`);
+    }
+
+    /**
      * Get a specific canvas by index
-     * @param {number} index - Canvas index (0-59)
+     * @param {number} index - Canvas index (0 to canvasCount - 1)
      * @returns {OffscreenCanvas|null} The canvas at the specified index
      */
     getCanvas(index) {
@@ -74,7 +129,7 @@ export class CanvasManager {
 
     /**
      * Get a specific canvas context by index
-     * @param {number} index - Canvas index (0-59)
+     * @param {number} index - Canvas index (0 to canvasCount - 1)
      * @returns {OffscreenCanvasRenderingContext2D|null} The context at the specified index
      */
     getContext(index) {
@@ -85,9 +140,45 @@ export class CanvasManager {
         return this.contexts[index];
     }
 
+    /**
+     * Get a slice as something drawImage can read.
+     * Draw from it right away: backends that keep slices as pixel data hand out a shared canvas.
+     * @param {number} index - Canvas index (0 to canvasCount - 1)
+     * @returns {CanvasImageSource|null} The slice
+     */
+    getSliceSource(index) {
+        return this.getCanvas(index);
+    }
+
+    /**
+     * Replace a slice with an image, scaled to the slice size
+     * @param {number} index - Canvas index (0 to canvasCount - 1)
+     * @param {CanvasImageSource} image - Image to draw
+     */
+    drawSliceImage(index, image) {
+        const ctx = this.getContext(index);
+        if (ctx) {
+            ctx.drawImage(image, 0, 0, this.width, this.height);
+        }
+    }
+
+    /**
+     * Draw an image into part of a slice at its natural size
+     * @param {number} index - Canvas index (0 to canvasCount - 1)
+     * @param {CanvasImageSource} image - Image to draw
+     * @param {number} x - Left edge in the slice
+     * @param {number} y - Top edge in the slice
+     */
+    drawSliceRegion(index, image, x, y) {
+        const ctx = this.getContext(index);
+        if (ctx) {
+            ctx.drawImage(image, x, y);
+        }
+    }
+
     /**
      * Write pixel data from a source to a specific row on a target canvas
-     * @param {number} canvasIndex - Index of the target canvas (0-59)
+     * @param {number} canvasIndex - Index of the target canvas (0 to canvasCount - 1)
      * @param {ImageData} sourceImageData - Source image data containing the pixels
      * @param {number} sourceRow - Row index in the source image to copy from
      * @param {number} targetRow - Row index in the target canvas to write to
@@ -132,7 +223,7 @@ export class CanvasManager {
 
     /**
      * Write a specific row from a frame directly to a target canvas (more efficient)
-     * @param {number} canvasIndex - Index of the target canvas (0-59)
+     * @param {number} canvasIndex - Index of the target canvas (0 to canvasCount - 1)
      * @param {VideoFrame} frame - Source video frame
      * @param {number} sourceRow - Row index in the source frame to copy from
      * @param {number} targetRow - Row index in the target canvas to write to
@@ -189,7 +280,201 @@ export class CanvasManager {
             });
             return false;
         }
-    }    /**
+    }
+
+    /**
+     * Write a specific column from a frame directly to a target canvas
+     * @param {number} canvasIndex - Index of the target canvas
+     * @param {VideoFrame} frame - Source video frame
+     * @param {number} sourceColumn - Column index in the source frame to copy from
+     * @param {number} targetColumn - Column index in the target canvas to write to
+     */
+    writeFrameColumn(canvasIndex, frame, sourceColumn, targetColumn) {
+        const ctx = this.getContext(canvasIndex);
+        if (!ctx) return false;
+
+        // Validate parameters
+        if (sourceColumn < 0 || sourceColumn >= frame.displayWidth ||
+            targetColumn < 0 || targetColumn >= this.width) {
+            console.warn('Invalid parameters for writeFrameColumn');
+            return false;
+        }
+
+        try {
+            // Copy a 1-pixel-wide strip
+            ctx.drawImage(
+                frame,
+                sourceColumn, 0,             // Source x, y
+                1, this.height,              // Source width, height (1 pixel wide)
+                targetColumn, 0,             // Destination x, y
+                1, this.height               // Destination width, height
+            );
+            return true;
+
+        } catch (error) {
+            console.error('Error writing frame column:', error, { canvasIndex, sourceColumn, targetColumn });
+            return false;
+        }
+    }
+
+    /**
+     * Write an anti-diagonal line (all pixels where x + y = line) from a frame to a target canvas
+     * @param {number} canvasIndex - Index of the target canvas
+     * @param {VideoFrame} frame - Source video frame
+     * @param {number} sourceLine - Diagonal index in the source frame to copy from
+     * @param {number} targetLine - Diagonal index in the target canvas to write to
+     */
+    writeFrameDiagonal(canvasIndex, frame, sourceLine, targetLine) {
+        const ctx = this.getContext(canvasIndex);
+        if (!ctx) return false;
+
+        // Validate parameters
+        if (sourceLine < 0 || sourceLine > frame.displayWidth + frame.displayHeight - 2 ||
+            targetLine < 0 || targetLine > this.width + this.height - 2) {
+            console.warn('Invalid parameters for writeFrameDiagonal');
+            return false;
+        }
+
+        try {
+            ctx.save();
+
+            // Clip to the band between x + y = targetLine and x + y = targetLine + 1
+            ctx.beginPath();
+            ctx.moveTo(targetLine, 0);
+            ctx.lineTo(targetLine + 1, 0);
+            ctx.lineTo(0, targetLine + 1);
+            ctx.lineTo(0, targetLine);
+            ctx.closePath();
+            ctx.clip();
+
+            // Slide the source diagonal along x only, so the shift is a whole number of
+            // pixels: target (x, y) comes from source (x - shift, y)
+            const shift = targetLine - sourceLine;
+
+            // Rows where both the source and the target diagonal lie inside their images
+            const firstRow = Math.max(0, targetLine - this.width + 1, sourceLine - frame.displayWidth + 1);
+            const lastRow = Math.min(this.height - 1, frame.displayHeight - 1, targetLine, sourceLine);
+
+            // Copy the diagonal in short runs, each blitting only its own small bounding square
+            for (let top = firstRow; top <= lastRow; top += DIAGONAL_RUN_LENGTH) {
+                const bottom = Math.min(lastRow, top + DIAGONAL_RUN_LENGTH - 1);
+                const size = bottom - top + 1;
+                const sourceX = sourceLine - bottom;
+                ctx.drawImage(
+                    frame,
+                    sourceX, top,            // Source x, y
+                    size, size,              // Source width, height
+                    sourceX + shift, top,    // Destination x, y
+                    size, size               // Destination width, height
+                );
+            }
+
+            ctx.restore();
+            return true;
+
+        } catch (error) {
+            ctx.restore();
+            console.error('Error writing frame diagonal:', error, { canvasIndex, sourceLine, targetLine });
+            return false;
+        }
+    }
+
+    /**
+     * Write one line of a frame to a target canvas along the given scan axis
+     * @param {number} canvasIndex - Index of the target canvas
+     * @param {VideoFrame} frame - Source video frame
+     * @param {object} axis - Scan axis from SCAN_AXES
+     * @param {number} sourceLine - Line position in the source frame
+     * @param {number} targetLine - Line position in the target canvas
+     */
+    writeFrameLine(canvasIndex, frame, axis, sourceLine, targetLine) {
+        switch (axis.orientation) {
+            case 'column':
+                return this.writeFrameColumn(canvasIndex, frame, sourceLine, targetLine);
+            case 'diagonal':
+                return this.writeFrameDiagonal(canvasIndex, frame, sourceLine, targetLine);
+            default:
+                return this.writeFrameRow(canvasIndex, frame, sourceLine, targetLine);
+        }
+    }
+
+    /**
+     * Write a weighted mix of frame lines to one target line.
+     * Layers are drawn over each other with alphas chosen so each ends up with exactly its weight.
+     * @param {number} canvasIndex - Index of the target canvas
+     * @param {object} axis - Scan axis from SCAN_AXES
+     * @param {Array<{frame: VideoFrame, line: number, weight: number}>} layers - Lines to mix (weights sum to 1)
+     * @param {number} targetLine - Line position in the target canvas
+     */
+    writeFrameLineMix(canvasIndex, axis, layers, targetLine) {
+        const ctx = this.getContext(canvasIndex);
+        if (!ctx) return;
+
+        ctx.save();
+        let total = 0;
+        for (const { frame, line, weight } of layers) {
+            if (weight <= 0) continue;
+            total += weight;
+            // Over-compositing scales everything already drawn by (1 - alpha)
+            ctx.globalAlpha = weight / total;
+            this.writeFrameLine(canvasIndex, frame, axis, line, targetLine);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Write a line sampled between source lines, optionally blended with the previous frame
+     * @param {number} canvasIndex - Index of the target canvas
+     * @param {VideoFrame} frame - Current source frame
+     * @param {object} axis - Scan axis from SCAN_AXES
+     * @param {number} sourcePosition - Fractional line position in the source frame
+     * @param {number} targetLine - Line position in the target canvas
+     * @param {VideoFrame|null} previousFrame - Earlier frame to blend with
+     * @param {number} previousWeight - Share of the earlier frame (0-1)
+     */
+    writeFrameLineSmooth(canvasIndex, frame, axis, sourcePosition, targetLine, previousFrame = null, previousWeight = 0) {
+        const lastLine = getScanLength(axis, frame.displayWidth, frame.displayHeight) - 1;
+        const line0 = Math.min(lastLine, Math.max(0, Math.floor(sourcePosition)));
+        const line1 = Math.min(lastLine, line0 + 1);
+        const fraction = Math.min(1, Math.max(0, sourcePosition - line0));
+        const currentWeight = previousFrame ? 1 - previousWeight : 1;
+
+        const layers = [];
+        if (previousFrame && previousWeight > 0) {
+            layers.push(
+                { frame: previousFrame, line: line0, weight: previousWeight * (1 - fraction) },
+                { frame: previousFrame, line: line1, weight: previousWeight * fraction }
+            );
+        }
+        layers.push(
+            { frame, line: line0, weight: currentWeight * (1 - fraction) },
+            { frame, line: line1, weight: currentWeight * fraction }
+        );
+
+        this.writeFrameLineMix(canvasIndex, axis, layers, targetLine);
+    }
+
+    /**
+     * Write one source line per slice to each of the target lines
+     * @param {VideoFrame} frame - Source video frame
+     * @param {object} axis - Scan axis from SCAN_AXES
+     * @param {Int32Array|Float32Array} sourceLines - Source line for each slice (fractional with blend)
+     * @param {Int32Array} targetLines - Line positions written in every slice
+     * @param {object|null} blend - Smooth sampling: { previousFrame, previousWeights } (one weight per target line)
+     */
+    writeFrameLines(frame, axis, sourceLines, targetLines, blend = null) {
+        for (let t = 0; t < targetLines.length; t++) {
+            for (let i = 0; i < sourceLines.length; i++) {
+                if (blend) {
+                    this.writeFrameLineSmooth(i, frame, axis, sourceLines[i], targetLines[t], blend.previousFrame, blend.previousWeights[t]);
+                } else {
+                    this.writeFrameLine(i, frame, axis, sourceLines[i], targetLines[t]);
+                }
+            }
+        }
+    }
+
+    /**
      * Clear a specific canvas
      * @param {number} index - Canvas index to clear
      */
@@ -223,16 +508,30 @@ export class CanvasManager {
 
     /**
      * Convert a canvas to a blob for downloading
+     * Works for both DOM canvases (toBlob) and OffscreenCanvases (convertToBlob).
      * @param {number} index - Canvas index
      * @param {string} type - Image type (default: 'image/png')
+     * @param {number} quality - Quality for lossy types such as JPEG or WebP (0-1)
      * @returns {Promise<Blob|null>} The canvas as a blob
      */
-    async getCanvasBlob(index, type = 'image/png') {
+    async getCanvasBlob(index, type = 'image/png', quality = undefined) {
         const canvas = this.getCanvas(index);
         if (!canvas) return null;
 
         try {
-            return await canvas.convertToBlob({ type });
+            if (typeof canvas.convertToBlob === 'function') {
+                return await canvas.convertToBlob({ type, quality });
+            }
+
+            return await new Promise((resolve, reject) => {
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error(`Could not encode canvas ${index} as ${type}`));
+                    }
+                }, type, quality);
+            });
         } catch (error) {
             console.error('Error converting canvas to blob:', error);
             return null;
@@ -242,12 +541,13 @@ export class CanvasManager {
     /**
      * Get all canvases as an array of blobs
      * @param {string} type - Image type (default: 'image/png')
+     * @param {number} quality - Quality for lossy types (0-1)
      * @returns {Promise<Blob[]>} Array of canvas blobs
      */
-    async getAllCanvasBlobs(type = 'image/png') {
+    async getAllCanvasBlobs(type = 'image/png', quality = undefined) {
         const blobs = [];
         for (let i = 0; i < this.canvasCount; i++) {
-            const blob = await this.getCanvasBlob(i, type);
+            const blob = await this.getCanvasBlob(i, type, quality);
             if (blob) {
                 blobs.push(blob);
             }
@@ -257,7 +557,7 @@ export class CanvasManager {
 
     /**
      * Show a specific canvas and hide all others
-     * @param {number} index - Canvas index to show (0-29)
+     * @param {number} index - Canvas index to show (0 to canvasCount - 1)
      */
     showCanvas(index) {
         if (!this.isInitialized || index < 0 || index >= this.canvasCount) {
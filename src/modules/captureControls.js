@@ -0,0 +1,83 @@
+// captureControls.js
+import {
+    pauseCapture,
+    restartCapture,
+    retakeCapture,
+    retakePanel,
+    retakeLineInput,
+    retakeLineValue,
+    retakeButton
+} from './domElements.js';
+
+/**
+ * Wire up pause/resume, restart and "retake from line N"
+ * @param {object} options
+ * @param {FrameProcessor} options.frameProcessor - Processor running the capture
+ * @param {string} options.captureMode - 'single' or 'rolling' (rolling uses the freeze button instead of pause, and has nothing to retake)
+ * @param {function(): Promise<void>} options.onRestart - Restarts the capture and reopens the source if needed
+ * @param {function(number): Promise<void>} options.onRetake - Retakes from a sweep step and reopens the source if needed
+ */
+export function setupCaptureControls({ frameProcessor, captureMode, onRestart, onRetake }) {
+    const isSingle = captureMode === 'single';
+
+    const updatePauseButton = () => {
+        const isPaused = frameProcessor.isPaused;
+        pauseCapture.title = isPaused ? 'Resume' : 'Pause';
+        pauseCapture.querySelector('.material-symbols-outlined').textContent = isPaused ? 'play_arrow' : 'pause';
+    };
+
+    const updateRetakeLabel = () => {
+        retakeLineValue.textContent = `Line ${retakeLineInput.value} of ${frameProcessor.getScanLength()}`;
+    };
+
+    if (pauseCapture && isSingle) {
+        pauseCapture.style.display = 'flex';
+        pauseCapture.addEventListener('click', () => {
+            frameProcessor.togglePause();
+            updatePauseButton();
+        });
+    }
+
+    if (restartCapture) {
+        restartCapture.style.display = 'flex';
+        restartCapture.addEventListener('click', async () => {
+            restartCapture.disabled = true;
+            try {
+                await onRestart();
+            } finally {
+                restartCapture.disabled = false;
+                retakePanel.style.display = 'none';
+                updatePauseButton();
+            }
+        });
+    }
+
+    if (retakeCapture && retakePanel && isSingle) {
+        retakeCapture.style.display = 'flex';
+        retakeCapture.addEventListener('click', () => {
+            const isOpen = retakePanel.style.display === 'flex';
+            if (!isOpen) {
+                // Default to the middle of what has been swept so far
+                const scanLength = frameProcessor.getScanLength();
+                const { currentRow } = frameProcessor.getProgress();
+                retakeLineInput.max = String(Math.max(0, scanLength - 1));
+                retakeLineInput.value = String(Math.floor(currentRow / 2));
+                updateRetakeLabel();
+            }
+            retakePanel.style.display = isOpen ? 'none' : 'flex';
+        });
+
+        retakeLineInput.addEventListener('input', updateRetakeLabel);
+
+        retakeButton.addEventListener('click', async () => {
+            retakeButton.disabled = true;
+            try {
+                await onRetake(parseInt(retakeLineInput.value, 10) || 0);
+                retakePanel.style.display = 'none';
+            } finally {
+                retakeButton.disabled = false;
+                updatePauseButton();
+            }
+        });
+    }
+}
@@ -0,0 +1,206 @@
+// captureHud.js
+import {
+    captureHud,
+    captureHudCanvas,
+    captureProgressRing,
+    captureProgressText,
+    captureEtaText,
+    captureDropText
+} from './domElements.js';
+import { getScanPosition } from './scanAxes.js';
+
+// Overlay shown while capturing: the live feed (dimmed, so the slices underneath
+// stay readable), a line marking where the sweep is writing, a progress ring and
+// an estimate of the time left. The estimate uses the rate at which lines are
+// actually being written, which is the real frame rate after drops. The dropped-frame
+// count is labelled with the slicing backend, so main-thread and Worker runs compare directly.
+
+// Longest side of the feed canvas; the feed is only a guide, so it stays small
+const FEED_MAX_SIZE = 480;
+
+// Opacity of the live feed over the slices
+const FEED_OPACITY = 0.4;
+
+// Window over which the line rate is measured
+const RATE_WINDOW_MS = 3000;
+
+/**
+ * Format a duration for the HUD
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Duration such as "1:05" or "12s"
+ */
+function formatDuration(seconds) {
+    const rounded = Math.ceil(seconds);
+    if (rounded < 60) {
+        return `${rounded}s`;
+    }
+    const minutes = Math.floor(rounded / 60);
+    return `${minutes}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+export class CaptureHud {
+    constructor() {
+        this.ctx = captureHudCanvas ? captureHudCanvas.getContext('2d', { alpha: true, desynchronized: true }) : null;
+        this.isVisible = false;
+        this.scale = 1; // Feed canvas pixels per capture pixel
+        this.rateSamples = []; // { time, row } pairs used to measure lines per second
+        this.ringLength = captureProgressRing ? 2 * Math.PI * captureProgressRing.r.baseVal.value : 0;
+    }
+
+    /**
+     * Size the feed canvas for a capture
+     * @param {number} width - Capture width
+     * @param {number} height - Capture height
+     */
+    initialize(width, height) {
+        if (!this.ctx) {
+            return;
+        }
+        this.scale = Math.min(1, FEED_MAX_SIZE / Math.max(width, height));
+        captureHudCanvas.width = Math.max(1, Math.round(width * this.scale));
+        captureHudCanvas.height = Math.max(1, Math.round(height * this.scale));
+        this.rateSamples = [];
+    }
+
+    show() {
+        if (this.isVisible || !captureHud) {
+            return;
+        }
+        this.isVisible = true;
+        this.rateSamples = [];
+        captureHud.style.display = 'block';
+    }
+
+    hide() {
+        if (!this.isVisible) {
+            return;
+        }
+        this.isVisible = false;
+        captureHud.style.display = 'none';
+    }
+
+    /**
+     * Draw the latest frame with the scan line, and update the progress ring and estimate
+     * @param {VideoFrame} frame - Current source frame (not closed)
+     * @param {object} axis - Scan axis from SCAN_AXES
+     * @param {object} progress - Progress from FrameProcessor.getProgress()
+     */
+    update(frame, axis, progress) {
+        if (!this.ctx) {
+            return;
+        }
+        this.show();
+
+        const { width, height } = captureHudCanvas;
+        this.ctx.clearRect(0, 0, width, height);
+        this.ctx.globalAlpha = FEED_OPACITY;
+        this.ctx.drawImage(frame, 0, 0, width, height);
+        this.ctx.globalAlpha = 1;
+
+        const { currentRow, totalRows } = progress;
+        if (currentRow < totalRows) {
+            this.drawScanLine(axis, getScanPosition(axis, currentRow, totalRows));
+        }
+
+        this.updateStatus(progress);
+    }
+
+    /**
+     * Draw the line the sweep is writing next
+     * @param {object} axis - Scan axis from SCAN_AXES
+     * @param {number} line - Line position in capture coordinates
+     */
+    drawScanLine(axis, line) {
+        const { width, height } = captureHudCanvas;
+        const position = (line + 0.5) * this.scale;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ffd700';
+        this.ctx.lineWidth = 2;
+        this.ctx.shadowColor = '#ffd700';
+        this.ctx.shadowBlur = 6;
+        this.ctx.beginPath();
+        switch (axis.orientation) {
+            case 'column':
+                this.ctx.moveTo(position, 0);
+                this.ctx.lineTo(position, height);
+                break;
+            case 'diagonal':
+                // Pixels where x + y = line
+                this.ctx.moveTo(position, 0);
+                this.ctx.lineTo(0, position);
+                break;
+            default:
+                this.ctx.moveTo(0, position);
+                this.ctx.lineTo(width, position);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * Update the progress ring, percentage and time remaining
+     * @param {object} progress - Progress from FrameProcessor.getProgress()
+     */
+    updateStatus({ currentRow, totalRows, progressPercent, captureMode, isPaused, droppedFrames, sliceWriter }) {
+        if (captureProgressRing) {
+            const fraction = totalRows > 0 ? currentRow / totalRows : 0;
+            captureProgressRing.style.strokeDasharray = `${this.ringLength}`;
+            captureProgressRing.style.strokeDashoffset = `${this.ringLength * (1 - fraction)}`;
+        }
+        if (captureProgressText) {
+            captureProgressText.textContent = `${progressPercent}%`;
+        }
+        if (captureDropText && droppedFrames) {
+            const slicer = sliceWriter === 'worker' ? 'Worker' : 'main thread';
+            captureDropText.textContent = `Dropped ${droppedFrames.dropped} (${droppedFrames.droppedPercent}%) on ${slicer}`;
+        }
+        if (!captureEtaText) {
+            return;
+        }
+
+        if (isPaused) {
+            this.rateSamples = [];
+            captureEtaText.textContent = 'Paused';
+            return;
+        }
+
+        const linesPerSecond = this.measureRate(currentRow);
+        const suffix = captureMode === 'rolling' ? 'until wrap' : 'left';
+        captureEtaText.textContent = linesPerSecond > 0
+            ? `${formatDuration((totalRows - currentRow) / linesPerSecond)} ${suffix}`
+            : 'Estimating...';
+    }
+
+    /**
+     * Lines written per second over the last few seconds
+     * @param {number} currentRow - Sweep step reached so far
+     * @returns {number} Lines per second, or 0 until there is enough data
+     */
+    measureRate(currentRow) {
+        const now = performance.now();
+        const last = this.rateSamples[this.rateSamples.length - 1];
+
+        // A restart, retake or rolling wrap moves the row backwards; measure afresh
+        if (last && currentRow < last.row) {
+            this.rateSamples = [];
+        }
+        this.rateSamples.push({ time: now, row: currentRow });
+
+        while (this.rateSamples.length > 2 && now - this.rateSamples[0].time > RATE_WINDOW_MS) {
+            this.rateSamples.shift();
+        }
+
+        const first = this.rateSamples[0];
+        const elapsed = (now - first.time) / 1000;
+        return elapsed > 0.5 ? (currentRow - first.row) / elapsed : 0;
+    }
+
+    cleanup() {
+        this.hide();
+        this.rateSamples = [];
+        if (this.ctx) {
+            this.ctx.clearRect(0, 0, captureHudCanvas.width, captureHudCanvas.height);
+        }
+    }
+}
@@ -0,0 +1,136 @@
+// captureOptions.js
+import {
+    sourceSelect,
+    videoFileField,
+    videoFileInput,
+    captureModeSelect,
+    captureDurationSelect,
+    samplingModeSelect,
+    sliceCountSelect,
+    scanAxisSelect,
+    mappingCurveSelect,
+    curveCyclesField,
+    curveCycles,
+    curvePointsField,
+    curvePoints,
+    livePreviewToggle,
+    timeWarpDelayField,
+    timeWarpDelaySelect,
+    sliceWriterSelect,
+    canvasBackendSelect
+} from './domElements.js';
+import { MAPPING_CURVES, DEFAULT_MAPPING_CURVE, parseControlPoints } from './mappingCurves.js';
+import { SCAN_AXES, DEFAULT_SCAN_AXIS } from './scanAxes.js';
+import { CAPTURE_DURATIONS, DEFAULT_CAPTURE_DURATION } from './capturePacing.js';
+import { SAMPLING_MODES, DEFAULT_SAMPLING_MODE } from './samplingModes.js';
+import { DEFAULT_SLICE_COUNT } from './canvasManager.js';
+import { SLICE_WRITERS, DEFAULT_SLICE_WRITER } from './sliceWriters.js';
+import { CANVAS_BACKENDS, DEFAULT_CANVAS_BACKEND } from './canvasBackends.js';
+
+/**
+ * Fill a select element with the entries of a registry
+ * @param {HTMLSelectElement} select - Select element to fill
+ * @param {object} registry - Object whose values have a `label`
+ * @param {string} defaultValue - Key to preselect
+ */
+function populateSelect(select, registry, defaultValue) {
+    Object.entries(registry).forEach(([name, entry]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = entry.label;
+        select.appendChild(option);
+    });
+    select.value = defaultValue;
+}
+
+/**
+ * Populate the capture option controls on the welcome screen
+ */
+export function setupCaptureOptions() {
+    if (scanAxisSelect) {
+        populateSelect(scanAxisSelect, SCAN_AXES, DEFAULT_SCAN_AXIS);
+    }
+
+    if (captureDurationSelect) {
+        populateSelect(captureDurationSelect, CAPTURE_DURATIONS, DEFAULT_CAPTURE_DURATION);
+    }
+
+    if (samplingModeSelect) {
+        populateSelect(samplingModeSelect, SAMPLING_MODES, DEFAULT_SAMPLING_MODE);
+    }
+
+    if (sliceWriterSelect) {
+        populateSelect(sliceWriterSelect, SLICE_WRITERS, DEFAULT_SLICE_WRITER);
+    }
+
+    if (canvasBackendSelect) {
+        populateSelect(canvasBackendSelect, CANVAS_BACKENDS, DEFAULT_CANVAS_BACKEND);
+    }
+
+    if (mappingCurveSelect) {
+        populateSelect(mappingCurveSelect, MAPPING_CURVES, DEFAULT_MAPPING_CURVE);
+        mappingCurveSelect.addEventListener('change', updateCurveFields);
+    }
+
+    if (sourceSelect && videoFileField) {
+        sourceSelect.addEventListener('change', () => {
+            videoFileField.style.display = sourceSelect.value === 'file' ? 'flex' : 'none';
+        });
+    }
+
+    if (livePreviewToggle && timeWarpDelayField) {
+        livePreviewToggle.addEventListener('change', () => {
+            timeWarpDelayField.style.display = livePreviewToggle.checked ? 'flex' : 'none';
+        });
+    }
+
+    updateCurveFields();
+}
+
+/**
+ * Show only the option fields that the selected mapping curve understands
+ */
+function updateCurveFields() {
+    const curve = MAPPING_CURVES[mappingCurveSelect?.value] || MAPPING_CURVES[DEFAULT_MAPPING_CURVE];
+
+    if (curveCyclesField) {
+        curveCyclesField.style.display = 'cycles' in curve.defaults ? 'flex' : 'none';
+    }
+    if (curvePointsField) {
+        curvePointsField.style.display = 'points' in curve.defaults ? 'flex' : 'none';
+    }
+}
+
+/**
+ * Read the capture options currently selected on the welcome screen
+ * @returns {{source: string, videoFile: File|null, captureMode: string, captureDuration: string, samplingMode: string, sliceCount: number, scanAxis: string, mappingCurve: string, curveOptions: object, livePreview: boolean, timeWarpDelay: number, sliceWriter: string, canvasBackend: string}} Capture options
+ */
+export function readCaptureOptions() {
+    const source = sourceSelect?.value || 'camera';
+    const videoFile = videoFileInput?.files?.[0] || null;
+    const captureMode = captureModeSelect?.value || 'single';
+    const captureDuration = captureDurationSelect?.value || DEFAULT_CAPTURE_DURATION;
+    const samplingMode = samplingModeSelect?.value || DEFAULT_SAMPLING_MODE;
+    const sliceCount = parseInt(sliceCountSelect?.value, 10) || DEFAULT_SLICE_COUNT;
+    const scanAxis = scanAxisSelect?.value || DEFAULT_SCAN_AXIS;
+    const mappingCurve = mappingCurveSelect?.value || DEFAULT_MAPPING_CURVE;
+    const defaults = MAPPING_CURVES[mappingCurve]?.defaults || {};
+    const curveOptions = {};
+
+    if ('cycles' in defaults) {
+        const cycles = parseInt(curveCycles?.value, 10);
+        curveOptions.cycles = cycles > 0 ? cycles : defaults.cycles;
+    }
+
+    if ('points' in defaults) {
+        const points = parseControlPoints(curvePoints?.value ?? '');
+        curveOptions.points = points.length > 0 ? points : defaults.points;
+    }
+
+    const livePreview = Boolean(livePreviewToggle?.checked);
+    const timeWarpDelay = parseInt(timeWarpDelaySelect?.value, 10) || 60;
+    const sliceWriter = sliceWriterSelect?.value || DEFAULT_SLICE_WRITER;
+    const canvasBackend = canvasBackendSelect?.value || DEFAULT_CANVAS_BACKEND;
+
+    return { source, videoFile, captureMode, captureDuration, samplingMode, sliceCount, scanAxis, mappingCurve, curveOptions, livePreview, timeWarpDelay, sliceWriter, canvasBackend };
+}
@@ -0,0 +1,62 @@
+// capturePacing.js
+
+// How fast the sweep moves. 'per-frame' writes one line for every processed frame,
+// so the capture takes longer at higher resolutions and on slower devices. A fixed
+// duration instead derives the line from the frame timestamp, so the same setting
+// sweeps at the same speed everywhere: when frames arrive faster than lines are due
+// some frames write nothing, and when they are sparse one frame fills several lines.
+
+export const CAPTURE_DURATIONS = {
+    'per-frame': {
+        label: 'One line per frame',
+        seconds: null
+    },
+    '5s': {
+        label: '5 seconds',
+        seconds: 5
+    },
+    '10s': {
+        label: '10 seconds',
+        seconds: 10
+    },
+    '20s': {
+        label: '20 seconds',
+        seconds: 20
+    },
+    '1min': {
+        label: '1 minute',
+        seconds: 60
+    },
+    '2min': {
+        label: '2 minutes',
+        seconds: 120
+    }
+};
+
+export const DEFAULT_CAPTURE_DURATION = 'per-frame';
+
+/**
+ * Look up the sweep duration for a pacing option
+ * @param {string} name - Key in CAPTURE_DURATIONS
+ * @returns {number|null} Seconds per sweep, or null for one line per frame
+ */
+export function getCaptureDuration(name) {
+    const pacing = CAPTURE_DURATIONS[name];
+    if (!pacing) {
+        console.warn(`Unknown capture duration "${name}", falling back to ${DEFAULT_CAPTURE_DURATION}`);
+        return CAPTURE_DURATIONS[DEFAULT_CAPTURE_DURATION].seconds;
+    }
+    return pacing.seconds;
+}
+
+/**
+ * Sweep step that is due at a given time
+ * @param {number} timestamp - Frame timestamp (microseconds)
+ * @param {number} sweepStart - Timestamp at which step 0 was due (microseconds)
+ * @param {number} duration - Sweep duration in seconds
+ * @param {number} scanLength - Number of lines in a sweep
+ * @returns {number} Step reached at the timestamp (may exceed the sweep length)
+ */
+export function getDueStep(timestamp, sweepStart, duration, scanLength) {
+    return Math.floor(((timestamp - sweepStart) / (duration * 1e6)) * scanLength);
+}
@@ -0,0 +1,177 @@
+// captureStore.js
+
+// IndexedDB storage for finished captures.
+// Metadata and a thumbnail live in the 'captures' store so the gallery can list
+// captures without reading any slice data; the (much larger) slice images live
+// under the same id in the 'slices' store and are only read when a capture is opened.
+
+const DB_NAME = 'timespy';
+const DB_VERSION = 1;
+const CAPTURES_STORE = 'captures';
+const SLICES_STORE = 'slices';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open (and create or upgrade) the database
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CAPTURES_STORE)) {
+                    db.createObjectStore(CAPTURES_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(SLICES_STORE)) {
+                    db.createObjectStore(SLICES_STORE, { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Check whether captures can be stored in this browser
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isCaptureStoreAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Store a capture
+ * @param {object} record - Metadata: name, createdAt, width, height, sliceCount, imageType, settings, customLut (.cube text), thumbnail (Blob)
+ * @param {Blob[]} slices - One encoded image per slice
+ * @returns {Promise<number>} Id of the stored capture
+ */
+export async function saveCapture(record, slices) {
+    const db = await openDatabase();
+    const transaction = db.transaction([CAPTURES_STORE, SLICES_STORE], 'readwrite');
+    const size = slices.reduce((total, blob) => total + blob.size, 0) + (record.thumbnail?.size || 0);
+
+    const id = await promisifyRequest(transaction.objectStore(CAPTURES_STORE).add({ ...record, size }));
+    transaction.objectStore(SLICES_STORE).put({ id, slices });
+
+    await transactionDone(transaction);
+    return id;
+}
+
+/**
+ * List stored captures, newest first (metadata and thumbnails only)
+ * @returns {Promise<object[]>} Capture records
+ */
+export async function listCaptures() {
+    const db = await openDatabase();
+    const records = await promisifyRequest(db.transaction(CAPTURES_STORE).objectStore(CAPTURES_STORE).getAll());
+    return records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Load a capture with its slice images
+ * @param {number} id - Capture id
+ * @returns {Promise<{record: object, slices: Blob[]}>} The capture
+ */
+export async function loadCapture(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction([CAPTURES_STORE, SLICES_STORE]);
+    const [record, sliceEntry] = await Promise.all([
+        promisifyRequest(transaction.objectStore(CAPTURES_STORE).get(id)),
+        promisifyRequest(transaction.objectStore(SLICES_STORE).get(id))
+    ]);
+
+    if (!record || !sliceEntry) {
+        throw new Error(`Capture ${id} not found`);
+    }
+    return { record, slices: sliceEntry.slices };
+}
+
+/**
+ * Rename a capture
+ * @param {number} id - Capture id
+ * @param {string} name - New name
+ */
+export async function renameCapture(id, name) {
+    const db = await openDatabase();
+    const transaction = db.transaction(CAPTURES_STORE, 'readwrite');
+    const store = transaction.objectStore(CAPTURES_STORE);
+    const record = await promisifyRequest(store.get(id));
+    if (!record) {
+        throw new Error(`Capture ${id} not found`);
+    }
+    store.put({ ...record, name });
+    await transactionDone(transaction);
+}
+
+/**
+ * Delete a capture and its slices
+ * @param {number} id - Capture id
+ */
+export async function deleteCapture(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction([CAPTURES_STORE, SLICES_STORE], 'readwrite');
+    transaction.objectStore(CAPTURES_STORE).delete(id);
+    transaction.objectStore(SLICES_STORE).delete(id);
+    await transactionDone(transaction);
+}
+
+/**
+ * How much storage the origin uses and may use
+ * @returns {Promise<{usage: number, quota: number}|null>} Estimate in bytes, or null if unsupported
+ */
+export async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) {
+        return null;
+    }
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+}
+
+/**
+ * Ask the browser not to evict stored captures under storage pressure
+ * @returns {Promise<boolean>} True if storage is persistent
+ */
+export async function requestPersistentStorage() {
+    if (!navigator.storage?.persist) {
+        return false;
+    }
+    if (await navigator.storage.persisted()) {
+        return true;
+    }
+    return navigator.storage.persist();
+}
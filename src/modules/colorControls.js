@@ -0,0 +1,80 @@
+// colorControls.js
+import {
+    colorGrade,
+    colorPanel,
+    colorPresetSelect,
+    lutFileInput,
+    lutName,
+    clearLutButton,
+    timeTintToggle,
+    exportPanel
+} from './domElements.js';
+import { COLOR_PRESETS, parseCubeLut } from './colorGrading.js';
+
+/**
+ * Wire the color panel (opened by the colors button) to a grader
+ * @param {ColorGrader} colorGrader - Grader shared by the renderer and exports
+ */
+export function setupColorControls(colorGrader) {
+    if (!colorGrade || !colorPanel) {
+        return;
+    }
+
+    Object.entries(COLOR_PRESETS).forEach(([name, preset]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = preset.label;
+        colorPresetSelect.appendChild(option);
+    });
+    // Reflect the grader's state (a reopened capture may already have a grade)
+    colorPresetSelect.value = colorGrader.presetName;
+    timeTintToggle.checked = colorGrader.timeTint;
+    lutName.textContent = colorGrader.customLutName || 'None';
+    clearLutButton.style.display = colorGrader.customLut ? 'flex' : 'none';
+
+    colorGrade.style.display = 'block';
+    colorGrade.addEventListener('click', () => {
+        const isOpen = colorPanel.style.display === 'flex';
+        colorPanel.style.display = isOpen ? 'none' : 'flex';
+
+        // Both panels open from the bottom-left corner
+        if (!isOpen && exportPanel) {
+            exportPanel.style.display = 'none';
+        }
+    });
+
+    colorPresetSelect.addEventListener('change', () => {
+        colorGrader.setPreset(colorPresetSelect.value);
+    });
+
+    timeTintToggle.addEventListener('change', () => {
+        colorGrader.setTimeTint(timeTintToggle.checked);
+    });
+
+    lutFileInput.addEventListener('change', async () => {
+        const file = lutFileInput.files[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            const text = await file.text();
+            const lut = parseCubeLut(text);
+            colorGrader.setCustomLut(lut, file.name.replace(/\.cube$/i, ''), text);
+            lutName.textContent = colorGrader.customLutName;
+            clearLutButton.style.display = 'flex';
+        } catch (error) {
+            console.error('LUT import failed:', error);
+            alert(`Could not load ${file.name}: ${error.message}`);
+        } finally {
+            // Allow picking the same file again
+            lutFileInput.value = '';
+        }
+    });
+
+    clearLutButton.addEventListener('click', () => {
+        colorGrader.setCustomLut(null);
+        lutName.textContent = 'None';
+        clearLutButton.style.display = 'none';
+    });
+}
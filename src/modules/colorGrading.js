@@ -0,0 +1,403 @@
+// colorGrading.js
+import { getScanAxis, DEFAULT_SCAN_AXIS } from './scanAxes.js';
+
+// Color grades for captured slices. Every preset (and any imported .cube LUT) is
+// compiled into one 3D lookup table, so grading costs the same per pixel no matter
+// which options are combined. Grading never touches the slice canvases: the
+// AnimationRenderer grades what it displays and the DownloadManager grades what it exports.
+
+/**
+ * Rec. 709 luminance
+ * @param {number} r - Red (0-1)
+ * @param {number} g - Green (0-1)
+ * @param {number} b - Blue (0-1)
+ * @returns {number} Luminance (0-1)
+ */
+function luminance(r, g, b) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * S-shaped contrast curve
+ * @param {number} c - Channel value (0-1)
+ * @returns {number} Curved value (0-1)
+ */
+function contrastCurve(c) {
+    return c < 0.5 ? 2 * c * c : 1 - 2 * (1 - c) * (1 - c);
+}
+
+const DUOTONE_SHADOW = [0.12, 0.05, 0.35];
+const DUOTONE_HIGHLIGHT = [1.0, 0.85, 0.55];
+
+// Each transform maps an RGB color (0-1 channels) to a new one.
+// Presets marked byTime are colored per pixel by when that line was captured.
+export const COLOR_PRESETS = {
+    none: {
+        label: 'None',
+        transform: null
+    },
+    mono: {
+        label: 'Mono',
+        transform: (r, g, b) => {
+            const y = luminance(r, g, b);
+            return [y, y, y];
+        }
+    },
+    sepia: {
+        label: 'Sepia',
+        transform: (r, g, b) => [
+            0.393 * r + 0.769 * g + 0.189 * b,
+            0.349 * r + 0.686 * g + 0.168 * b,
+            0.272 * r + 0.534 * g + 0.131 * b
+        ]
+    },
+    'high-contrast': {
+        label: 'High contrast',
+        transform: (r, g, b) => {
+            const y = luminance(r, g, b);
+            // Curve each channel, then push saturation a little
+            return [r, g, b].map(c => contrastCurve(y + (c - y) * 1.3));
+        }
+    },
+    duotone: {
+        label: 'Duotone',
+        transform: (r, g, b) => {
+            const y = luminance(r, g, b);
+            return DUOTONE_SHADOW.map((shadow, i) => shadow + (DUOTONE_HIGHLIGHT[i] - shadow) * y);
+        }
+    },
+    'false-color-by-time': {
+        label: 'False color by time',
+        transform: (r, g, b) => {
+            const y = luminance(r, g, b);
+            return [y, y, y];
+        },
+        byTime: true
+    }
+};
+
+export const DEFAULT_COLOR_PRESET = 'none';
+
+// Grid size used when compiling presets into a lookup table
+const LUT_SIZE = 33;
+
+// Strength of the per-slice time tint (0 = off, 1 = fully replaced)
+const TIME_TINT_STRENGTH = 0.35;
+
+/**
+ * Color for a point in time: blue for the earliest, through green, to red for the latest
+ * @param {number} t - Time (0-1)
+ * @returns {number[]} RGB color (0-1 channels)
+ */
+export function getTimeColor(t) {
+    const hue = (1 - Math.min(1, Math.max(0, t))) * 240;
+    const sector = hue / 60;
+    const x = 1 - Math.abs((sector % 2) - 1);
+    const colors = [[1, x, 0], [x, 1, 0], [0, 1, x], [0, x, 1], [x, 0, 1], [1, 0, x]];
+    return colors[Math.min(5, Math.floor(sector))];
+}
+
+/**
+ * Parse a 3D LUT in Adobe/Resolve .cube format
+ * @param {string} text - File contents
+ * @returns {{title: string, size: number, data: Float32Array, domainMin: number[], domainMax: number[]}} Parsed LUT
+ */
+export function parseCubeLut(text) {
+    let title = '';
+    let size = 0;
+    let domainMin = [0, 0, 0];
+    let domainMax = [1, 1, 1];
+    const values = [];
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) return;
+
+        const [keyword, ...rest] = line.split(/\s+/);
+        if (keyword === 'TITLE') {
+            title = line.slice(5).trim().replace(/^"|"$/g, '');
+        } else if (keyword === 'LUT_3D_SIZE') {
+            size = parseInt(rest[0], 10);
+        } else if (keyword === 'LUT_1D_SIZE') {
+            throw new Error('Only 3D LUTs are supported');
+        } else if (keyword === 'DOMAIN_MIN') {
+            domainMin = rest.map(Number);
+        } else if (keyword === 'DOMAIN_MAX') {
+            domainMax = rest.map(Number);
+        } else if (/^[-+.\d]/.test(keyword)) {
+            values.push(Number(keyword), Number(rest[0]), Number(rest[1]));
+        }
+    });
+
+    if (!size || size < 2) {
+        throw new Error('Missing or invalid LUT_3D_SIZE');
+    }
+    if (values.length !== size * size * size * 3) {
+        throw new Error(`Expected ${size * size * size} entries, found ${values.length / 3}`);
+    }
+    if (values.some(Number.isNaN)) {
+        throw new Error('LUT contains invalid numbers');
+    }
+    if (domainMin.length !== 3 || domainMax.length !== 3 ||
+        [...domainMin, ...domainMax].some(value => !Number.isFinite(value))) {
+        throw new Error('Invalid DOMAIN_MIN or DOMAIN_MAX');
+    }
+    if (domainMin.some((min, channel) => domainMax[channel] <= min)) {
+        throw new Error('DOMAIN_MAX must be greater than DOMAIN_MIN for every channel');
+    }
+
+    return { title, size, data: Float32Array.from(values), domainMin, domainMax };
+}
+
+/**
+ * Look up a color in a 3D LUT with trilinear interpolation
+ * Entries are stored red-fastest, as in .cube files.
+ * @param {{size: number, data: Float32Array}} lut - Lookup table
+ * @param {number} r - Red, scaled to 0..size-1
+ * @param {number} g - Green, scaled to 0..size-1
+ * @param {number} b - Blue, scaled to 0..size-1
+ * @param {Float32Array|number[]} out - Receives the RGB result
+ */
+function sampleLut(lut, r, g, b, out) {
+    const { size, data } = lut;
+    const max = size - 1;
+    const r0 = Math.min(max - 1, Math.floor(r));
+    const g0 = Math.min(max - 1, Math.floor(g));
+    const b0 = Math.min(max - 1, Math.floor(b));
+    const fr = r - r0;
+    const fg = g - g0;
+    const fb = b - b0;
+
+    const i000 = (r0 + g0 * size + b0 * size * size) * 3;
+    const dr = 3;
+    const dg = size * 3;
+    const db = size * size * 3;
+
+    for (let c = 0; c < 3; c++) {
+        const c00 = data[i000 + c] + (data[i000 + dr + c] - data[i000 + c]) * fr;
+        const c10 = data[i000 + dg + c] + (data[i000 + dg + dr + c] - data[i000 + dg + c]) * fr;
+        const c01 = data[i000 + db + c] + (data[i000 + db + dr + c] - data[i000 + db + c]) * fr;
+        const c11 = data[i000 + db + dg + c] + (data[i000 + db + dg + dr + c] - data[i000 + db + dg + c]) * fr;
+        const c0 = c00 + (c10 - c00) * fg;
+        const c1 = c01 + (c11 - c01) * fg;
+        out[c] = c0 + (c1 - c0) * fb;
+    }
+}
+
+/**
+ * Compile a preset transform, optionally followed by an imported LUT, into one lookup table
+ * @param {function|null} transform - Preset transform
+ * @param {object|null} customLut - Parsed .cube LUT applied after the preset
+ * @returns {{size: number, data: Float32Array}} Combined lookup table (0-255 output)
+ */
+function compileLut(transform, customLut) {
+    const size = LUT_SIZE;
+    const data = new Float32Array(size * size * size * 3);
+    const sample = [0, 0, 0];
+    let offset = 0;
+
+    for (let bi = 0; bi < size; bi++) {
+        for (let gi = 0; gi < size; gi++) {
+            for (let ri = 0; ri < size; ri++) {
+                let color = [ri / (size - 1), gi / (size - 1), bi / (size - 1)];
+                if (transform) {
+                    color = transform(...color);
+                }
+
+                if (customLut) {
+                    const { domainMin, domainMax } = customLut;
+                    const scaled = color.map((c, i) => {
+                        const normalized = (c - domainMin[i]) / (domainMax[i] - domainMin[i]);
+                        return Math.min(1, Math.max(0, normalized)) * (customLut.size - 1);
+                    });
+                    sampleLut(customLut, scaled[0], scaled[1], scaled[2], sample);
+                    color = sample;
+                }
+
+                for (let c = 0; c < 3; c++) {
+                    data[offset++] = Math.min(1, Math.max(0, color[c])) * 255;
+                }
+            }
+        }
+    }
+
+    return { size, data };
+}
+
+export class ColorGrader {
+    constructor() {
+        this.presetName = DEFAULT_COLOR_PRESET;
+        this.customLut = null; // Parsed .cube LUT, applied after the preset
+        this.customLutName = null;
+        this.customLutSource = null; // .cube text of the imported LUT, kept so captures can carry it
+        this.timeTint = false; // Tint each slice by its position in time
+        this.scanAxis = getScanAxis(DEFAULT_SCAN_AXIS); // Decides which lines were captured first
+        this.lut = null; // Compiled preset + custom LUT (null when neither is set)
+        this.version = 0; // Bumped on every change so cached grades can be discarded
+    }
+
+    /**
+     * Select a color preset
+     * @param {string} name - Key in COLOR_PRESETS
+     */
+    setPreset(name) {
+        if (!COLOR_PRESETS[name]) {
+            console.warn(`Unknown color preset "${name}", using ${DEFAULT_COLOR_PRESET}`);
+            name = DEFAULT_COLOR_PRESET;
+        }
+        this.presetName = name;
+        this.rebuild();
+        console.log(`🎨 Color preset: ${COLOR_PRESETS[name].label}`);
+    }
+
+    /**
+     * Apply an imported 3D LUT on top of the preset
+     * @param {object|null} lut - Result of parseCubeLut, or null to remove it
+     * @param {string} name - Display name (usually the file name)
+     * @param {string|null} source - The .cube text the LUT was parsed from
+     */
+    setCustomLut(lut, name = null, source = null) {
+        this.customLut = lut;
+        this.customLutName = lut ? (lut.title || name) : null;
+        this.customLutSource = lut ? source : null;
+        this.rebuild();
+        console.log(lut ? `🎨 LUT loaded: ${this.customLutName} (${lut.size}³)` : '🎨 LUT removed');
+    }
+
+    /**
+     * Turn the per-slice time tint on or off
+     * @param {boolean} enabled - Tint slices by time index
+     */
+    setTimeTint(enabled) {
+        this.timeTint = enabled;
+        this.version++;
+    }
+
+    /**
+     * Follow the capture's scan axis (used by time-based false color)
+     * @param {object} axis - Scan axis from SCAN_AXES
+     */
+    setScanAxis(axis) {
+        this.scanAxis = axis;
+        this.version++;
+    }
+
+    /**
+     * Recompile the lookup table after the preset or LUT changed
+     */
+    rebuild() {
+        const { transform } = COLOR_PRESETS[this.presetName];
+        this.lut = transform || this.customLut ? compileLut(transform, this.customLut) : null;
+        this.version++;
+    }
+
+    /**
+     * Whether any grading is applied
+     * @returns {boolean} True if pixels would change
+     */
+    isActive() {
+        return this.lut !== null || this.timeTint || COLOR_PRESETS[this.presetName].byTime === true;
+    }
+
+    /**
+     * Time (0-1) at which each pixel's line was captured, following the scan axis
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {function(number, number): number} Maps (x, y) to time
+     */
+    getLineTime(width, height) {
+        const { orientation, reversed } = this.scanAxis;
+        const flip = t => (reversed ? 1 - t : t);
+
+        if (orientation === 'column') {
+            return x => flip(x / Math.max(1, width - 1));
+        }
+        if (orientation === 'diagonal') {
+            return (x, y) => flip((x + y) / Math.max(1, width + height - 2));
+        }
+        return (x, y) => flip(y / Math.max(1, height - 1));
+    }
+
+    /**
+     * Grade pixels in place
+     * @param {ImageData} imageData - Pixels of one slice
+     * @param {number} sliceIndex - Slice the pixels belong to
+     * @param {number} sliceCount - Total number of slices
+     */
+    gradeImageData(imageData, sliceIndex, sliceCount) {
+        const { data, width, height } = imageData;
+        const lut = this.lut;
+        const scale = lut ? (lut.size - 1) / 255 : 0;
+        const color = [0, 0, 0];
+
+        // Per-slice tint: one color for the whole slice
+        const sliceTint = this.timeTint ? getTimeColor(sliceIndex / Math.max(1, sliceCount - 1)) : null;
+
+        // Per-line false color: precompute the palette once per call
+        const byTime = COLOR_PRESETS[this.presetName].byTime === true;
+        const lineTime = byTime ? this.getLineTime(width, height) : null;
+        const timePalette = byTime ? Array.from({ length: 256 }, (_, i) => getTimeColor(i / 255)) : null;
+
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i += 4) {
+                if (lut) {
+                    sampleLut(lut, data[i] * scale, data[i + 1] * scale, data[i + 2] * scale, color);
+                } else {
+                    color[0] = data[i];
+                    color[1] = data[i + 1];
+                    color[2] = data[i + 2];
+                }
+
+                if (byTime) {
+                    const tint = timePalette[Math.round(lineTime(x, y) * 255)];
+                    const lum = luminance(color[0], color[1], color[2]);
+                    color[0] = lum * tint[0];
+                    color[1] = lum * tint[1];
+                    color[2] = lum * tint[2];
+                }
+
+                if (sliceTint) {
+                    const lum = luminance(color[0], color[1], color[2]);
+                    for (let c = 0; c < 3; c++) {
+                        color[c] += (lum * sliceTint[c] - color[c]) * TIME_TINT_STRENGTH;
+                    }
+                }
+
+                data[i] = color[0];
+                data[i + 1] = color[1];
+                data[i + 2] = color[2];
+            }
+        }
+    }
+
+    /**
+     * Draw a slice into a context and grade the result
+     * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Target context
+     * @param {CanvasImageSource} source - Slice canvas
+     * @param {number} width - Target width
+     * @param {number} height - Target height
+     * @param {number} sliceIndex - Slice index
+     * @param {number} sliceCount - Total number of slices
+     */
+    drawGraded(ctx, source, width, height, sliceIndex, sliceCount) {
+        ctx.drawImage(source, 0, 0, width, height);
+        if (!this.isActive()) {
+            return;
+        }
+        const imageData = ctx.getImageData(0, 0, width, height);
+        this.gradeImageData(imageData, sliceIndex, sliceCount);
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Describe the current grade (for manifests and project files)
+     * @returns {object} Grade settings
+     */
+    getSettings() {
+        return {
+            preset: this.presetName,
+            lut: this.customLutName,
+            timeTint: this.timeTint
+        };
+    }
+}
@@ -0,0 +1,118 @@
+// cropEditor.js
+import { drawFramed } from './exportFraming.js';
+
+// Largest size of the crop preview in the export panel
+const PREVIEW_MAX_WIDTH = 220;
+const PREVIEW_MAX_HEIGHT = 160;
+
+/**
+ * Small preview of the whole (rotated) capture with the export crop marked on it.
+ * Dragging on the preview moves the crop.
+ */
+export class CropEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Preview canvas
+     * @param {function({x: number, y: number}): void} onChange - Called with the new pan while dragging
+     */
+    constructor(canvas, onChange) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.onChange = onChange;
+        this.pan = { x: 0.5, y: 0.5 };
+        this.source = null;
+        this.framing = null;
+        this.drag = null; // { pointerId, startX, startY, startPan } while dragging
+        this.setupDragging();
+    }
+
+    /**
+     * Center the crop again (when the aspect or rotation changes)
+     */
+    resetPan() {
+        this.pan = { x: 0.5, y: 0.5 };
+    }
+
+    /**
+     * Redraw with a new slice or framing
+     * @param {CanvasImageSource} source - Slice to show, at capture size
+     * @param {object} framing - Result of computeFraming()
+     */
+    update(source, framing) {
+        this.source = source;
+        this.framing = framing;
+        this.draw();
+    }
+
+    draw() {
+        if (!this.source || !this.framing) {
+            return;
+        }
+
+        const { rotatedWidth, rotatedHeight, crop } = this.framing;
+        const scale = Math.min(PREVIEW_MAX_WIDTH / rotatedWidth, PREVIEW_MAX_HEIGHT / rotatedHeight);
+        const width = Math.max(1, Math.round(rotatedWidth * scale));
+        const height = Math.max(1, Math.round(rotatedHeight * scale));
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        // The whole rotated capture, uncropped
+        const fullFrame = { ...this.framing, crop: { x: 0, y: 0, width: rotatedWidth, height: rotatedHeight } };
+        drawFramed(this.ctx, this.source, fullFrame, width, height);
+
+        // Dim everything outside the crop and outline it
+        const x = crop.x * scale;
+        const y = crop.y * scale;
+        const w = crop.width * scale;
+        const h = crop.height * scale;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.beginPath();
+        this.ctx.rect(0, 0, width, height);
+        this.ctx.rect(x, y, w, h);
+        this.ctx.fill('evenodd');
+        this.ctx.strokeStyle = '#ffd700';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x + 1, y + 1, Math.max(0, w - 2), Math.max(0, h - 2));
+    }
+
+    setupDragging() {
+        this.canvas.addEventListener('pointerdown', (event) => {
+            this.drag = {
+                pointerId: event.pointerId,
+                startX: event.clientX,
+                startY: event.clientY,
+                startPan: { ...this.pan }
+            };
+            this.canvas.setPointerCapture(event.pointerId);
+        });
+
+        this.canvas.addEventListener('pointermove', (event) => {
+            if (!this.drag || event.pointerId !== this.drag.pointerId || !this.framing) {
+                return;
+            }
+
+            // Convert the drag from preview pixels into a share of the room the crop can move in
+            const { rotatedWidth, rotatedHeight, crop } = this.framing;
+            const rect = this.canvas.getBoundingClientRect();
+            const freeX = rotatedWidth - crop.width;
+            const freeY = rotatedHeight - crop.height;
+            const dx = ((event.clientX - this.drag.startX) / rect.width) * rotatedWidth;
+            const dy = ((event.clientY - this.drag.startY) / rect.height) * rotatedHeight;
+
+            this.pan = {
+                x: freeX > 0 ? Math.min(1, Math.max(0, this.drag.startPan.x + dx / freeX)) : 0.5,
+                y: freeY > 0 ? Math.min(1, Math.max(0, this.drag.startPan.y + dy / freeY)) : 0.5
+            };
+            this.onChange(this.pan);
+        });
+
+        const endDrag = (event) => {
+            if (this.drag && event.pointerId === this.drag.pointerId) {
+                this.drag = null;
+            }
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+    }
+}
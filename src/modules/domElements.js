@@ -9,6 +9,98 @@ export const app = document.getElementById('app');
 export const debugElement = document.getElementById('debug');
 export const cameraToggle = document.getElementById('cameraToggle');
 export const downloadFile = document.getElementById('downloadFile');
+export const exportPanel = document.getElementById('exportPanel');
+export const exportFormatSelect = document.getElementById('exportFormatSelect');
+export const videoOptions = document.getElementById('videoOptions');
+export const videoBitrateSelect = document.getElementById('videoBitrateSelect');
+export const gifOptions = document.getElementById('gifOptions');
+export const gifSizeSelect = document.getElementById('gifSizeSelect');
+export const gifDitherToggle = document.getElementById('gifDitherToggle');
+export const webpOptions = document.getElementById('webpOptions');
+export const webpQualitySelect = document.getElementById('webpQualitySelect');
+export const framesOptions = document.getElementById('framesOptions');
+export const framesTypeSelect = document.getElementById('framesTypeSelect');
+export const exportButton = document.getElementById('exportButton');
+export const timingOptions = document.getElementById('timingOptions');
+export const exportFpsInput = document.getElementById('exportFpsInput');
+export const exportLoopSelect = document.getElementById('exportLoopSelect');
+export const exportLengthSelect = document.getElementById('exportLengthSelect');
+export const exportRepeatsField = document.getElementById('exportRepeatsField');
+export const exportRepeatsInput = document.getElementById('exportRepeatsInput');
+export const exportDurationField = document.getElementById('exportDurationField');
+export const exportDurationInput = document.getElementById('exportDurationInput');
+export const exportHoldInput = document.getElementById('exportHoldInput');
+export const exportTimingSummary = document.getElementById('exportTimingSummary');
+export const framingOptions = document.getElementById('framingOptions');
+export const exportAspectSelect = document.getElementById('exportAspectSelect');
+export const exportSizeSelect = document.getElementById('exportSizeSelect');
+export const exportRotationSelect = document.getElementById('exportRotationSelect');
+export const cropPreview = document.getElementById('cropPreview');
+export const exportFramingSummary = document.getElementById('exportFramingSummary');
+export const colorGrade = document.getElementById('colorGrade');
+export const colorPanel = document.getElementById('colorPanel');
+export const colorPresetSelect = document.getElementById('colorPresetSelect');
+export const lutFileInput = document.getElementById('lutFileInput');
+export const lutName = document.getElementById('lutName');
+export const clearLutButton = document.getElementById('clearLutButton');
+export const timeTintToggle = document.getElementById('timeTintToggle');
+export const shareFile = document.getElementById('shareFile');
+export const sharePanel = document.getElementById('sharePanel');
+export const shareVideo = document.getElementById('shareVideo');
+export const shareStill = document.getElementById('shareStill');
+export const freezeCapture = document.getElementById('freezeCapture');
+export const pauseCapture = document.getElementById('pauseCapture');
+export const restartCapture = document.getElementById('restartCapture');
+export const retakeCapture = document.getElementById('retakeCapture');
+export const retakePanel = document.getElementById('retakePanel');
+export const retakeLineInput = document.getElementById('retakeLineInput');
+export const retakeLineValue = document.getElementById('retakeLineValue');
+export const retakeButton = document.getElementById('retakeButton');
+export const startCapture = document.getElementById('startCapture');
 export const previewCanvas = document.getElementById('previewCanvas');
+export const playerControls = document.getElementById('playerControls');
+export const playPauseButton = document.getElementById('playPauseButton');
+export const stepBackButton = document.getElementById('stepBackButton');
+export const stepForwardButton = document.getElementById('stepForwardButton');
+export const playbackModeSelect = document.getElementById('playbackModeSelect');
+export const playbackFpsInput = document.getElementById('playbackFpsInput');
+export const playbackFpsValue = document.getElementById('playbackFpsValue');
+export const tiltButton = document.getElementById('tiltButton');
+export const captureHud = document.getElementById('captureHud');
+export const captureHudCanvas = document.getElementById('captureHudCanvas');
+export const captureProgressRing = document.getElementById('captureProgressRing');
+export const captureProgressText = document.getElementById('captureProgressText');
+export const captureEtaText = document.getElementById('captureEtaText');
+export const captureDropText = document.getElementById('captureDropText');
+export const openProjectButton = document.getElementById('openProjectButton');
+export const projectFileInput = document.getElementById('projectFileInput');
+
+// Gallery elements
+export const galleryButton = document.getElementById('galleryButton');
+export const gallery = document.getElementById('gallery');
+export const galleryList = document.getElementById('galleryList');
+export const storageQuotaBar = document.getElementById('storageQuotaBar');
+export const storageQuotaText = document.getElementById('storageQuotaText');
+
+// Capture option elements
+export const captureOptions = document.getElementById('captureOptions');
+export const sourceSelect = document.getElementById('sourceSelect');
+export const videoFileField = document.getElementById('videoFileField');
+export const videoFileInput = document.getElementById('videoFileInput');
+export const captureModeSelect = document.getElementById('captureModeSelect');
+export const captureDurationSelect = document.getElementById('captureDurationSelect');
+export const samplingModeSelect = document.getElementById('samplingModeSelect');
+export const sliceCountSelect = document.getElementById('sliceCountSelect');
+export const scanAxisSelect = document.getElementById('scanAxisSelect');
+export const mappingCurveSelect = document.getElementById('mappingCurveSelect');
+export const curveCyclesField = document.getElementById('curveCyclesField');
+export const curveCycles = document.getElementById('curveCycles');
+export const curvePointsField = document.getElementById('curvePointsField');
+export const curvePoints = document.getElementById('curvePoints');
+export const livePreviewToggle = document.getElementById('livePreviewToggle');
+export const timeWarpDelayField = document.getElementById('timeWarpDelayField');
+export const timeWarpDelaySelect = document.getElementById('timeWarpDelaySelect');
+export const sliceWriterSelect = document.getElementById('sliceWriterSelect');
+export const canvasBackendSelect = document.getElementById('canvasBackendSelect');
 
 export const loadingSpinner = document.getElementById('loading-spinner');
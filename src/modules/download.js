@@ -1,155 +1,725 @@
-import { downloadFile } from './domElements.js';
+import {
+    downloadFile,
+    exportPanel,
+    exportFormatSelect,
+    videoOptions,
+    videoBitrateSelect,
+    gifOptions,
+    gifSizeSelect,
+    gifDitherToggle,
+    webpOptions,
+    webpQualitySelect,
+    framesOptions,
+    framesTypeSelect,
+    exportButton,
+    timingOptions,
+    exportFpsInput,
+    exportLoopSelect,
+    exportLengthSelect,
+    exportRepeatsField,
+    exportRepeatsInput,
+    exportDurationField,
+    exportDurationInput,
+    exportHoldInput,
+    exportTimingSummary,
+    framingOptions,
+    exportAspectSelect,
+    exportSizeSelect,
+    exportRotationSelect,
+    cropPreview,
+    exportFramingSummary,
+    colorPanel,
+    shareFile,
+    sharePanel,
+    shareVideo,
+    shareStill
+} from './domElements.js';
 import {
     Output,
     BufferTarget,
-    Mp4OutputFormat,
     CanvasSource,
-    QUALITY_HIGH,
+    canEncodeVideo,
 } from 'mediabunny';
+import { encodeGif, GIF_SIZE_PRESETS, DEFAULT_GIF_SIZE } from './gifEncoder.js';
+import {
+    VIDEO_FORMATS,
+    DEFAULT_VIDEO_FORMAT,
+    BITRATE_PRESETS,
+    DEFAULT_BITRATE_PRESET,
+    getSupportedVideoFormats
+} from './videoFormats.js';
+import { encodeApng, encodeAnimatedWebp, canEncodeWebp } from './animatedImageEncoder.js';
+import { zipSync, strToU8 } from 'fflate';
+import { createProject, PROJECT_EXTENSION, PROJECT_MIME_TYPE } from './projectFile.js';
+import {
+    LOOP_STYLES,
+    DEFAULT_LOOP_STYLE,
+    MAX_EXPORT_REPEATS,
+    MAX_EXPORT_DURATION,
+    getDefaultExportTiming,
+    buildExportSequence
+} from './exportTiming.js';
+import {
+    ASPECT_PRESETS,
+    DEFAULT_ASPECT_PRESET,
+    OUTPUT_SIZES,
+    DEFAULT_OUTPUT_SIZE,
+    ROTATIONS,
+    DEFAULT_ROTATION,
+    computeFraming,
+    isIdentityFraming,
+    drawFramed
+} from './exportFraming.js';
+import { CropEditor } from './cropEditor.js';
+
+// Image types offered for the frame sequence export
+const FRAME_IMAGE_TYPES = {
+    png: { mimeType: 'image/png', extension: 'png', quality: undefined },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg', quality: 0.92 }
+};
 
 export class DownloadManager {
-    constructor(canvasManager) {
+    constructor(canvasManager, frameProcessor = null) {
         this.canvasManager = canvasManager;
+        this.frameProcessor = frameProcessor; // Used for the animation frame rate and capture settings
+        this.supportedVideoFormats = null; // Keys of VIDEO_FORMATS the browser can encode at the export size, once checked
+        this.videoFormatSize = null; // Export size the latest support check is for
+        this.videoSupportCheck = null; // Promise of the latest support check
         this.setupDownloadButton();
+        this.setupExportPanel();
+        this.setupShareButton();
         this.renderCanvas = null; // Canvas for video rendering
         this.renderContext = null;
+        this.gradeCanvas = null; // Capture-sized canvas the color grade is applied in before framing
+        this.gradeContext = null;
+        this.frameRate = 30; // Playback rate of exports when there is no animation renderer
+        this.isExporting = false;
+        this.statusElement = null; // Element that shows progress for the running action
+        this.updateVideoFormats();
     }
 
     setupDownloadButton() {
         if (downloadFile) {
             downloadFile.style.display = 'block';
             downloadFile.addEventListener('click', () => {
-                this.generateVideoDownload();
+                this.toggleExportPanel();
             });
         }
     }
 
     /**
-     * Create a dedicated canvas for video rendering
+     * Show the share button and wire up the share panel
      */
-    createRenderCanvas() {
-        if (!this.renderCanvas) {
-            this.renderCanvas = document.createElement('canvas');
+    setupShareButton() {
+        if (!shareFile || !sharePanel) {
+            return;
+        }
 
-            // Ensure dimensions are even for MP4 compatibility
-            // MP4 encoding requires both width and height to be even numbers
-            const width = this.canvasManager.width % 2 === 0 ?
-                this.canvasManager.width :
-                this.canvasManager.width - 1;
-            const height = this.canvasManager.height % 2 === 0 ?
-                this.canvasManager.height :
-                this.canvasManager.height - 1;
+        shareFile.style.display = 'block';
+        shareFile.addEventListener('click', () => {
+            sharePanel.style.display = sharePanel.style.display === 'flex' ? 'none' : 'flex';
+        });
+        shareVideo.addEventListener('click', () => this.shareCapture('video', shareVideo));
+        shareStill.addEventListener('click', () => this.shareCapture('still', shareStill));
+    }
 
-            this.renderCanvas.width = width;
-            this.renderCanvas.height = height;
+    /**
+     * Video format used for sharing: the one selected in the export panel,
+     * or else the first one the browser can encode
+     * @returns {string|null} Key in VIDEO_FORMATS, or null if no video format can be encoded
+     */
+    getShareVideoFormat() {
+        const supported = this.supportedVideoFormats || [];
+        const selected = exportFormatSelect?.value;
+        if (supported.includes(selected)) {
+            return selected;
+        }
+        return supported[0] ?? null;
+    }
 
-            console.log(`Render canvas dimensions: ${width}x${height} (original: ${this.canvasManager.width}x${this.canvasManager.height})`);
+    /**
+     * Offer video sharing only in a format the browser can encode
+     */
+    updateShareOptions() {
+        if (!shareVideo) {
+            return;
+        }
+
+        const format = this.getShareVideoFormat();
+        shareVideo.style.display = format ? '' : 'none';
+        if (format && !this.isExporting) {
+            shareVideo.textContent = `Share video (${VIDEO_FORMATS[format].extension.toUpperCase()})`;
+        }
+    }
+
+    /**
+     * Populate the export panel and wire up its controls
+     */
+    setupExportPanel() {
+        if (!exportPanel) {
+            return;
+        }
+
+        // Video formats first; unsupported ones are removed once the encoder check finishes
+        const gifOption = exportFormatSelect.querySelector('option[value="gif"]');
+        Object.entries(VIDEO_FORMATS).forEach(([name, format]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = format.label;
+            exportFormatSelect.insertBefore(option, gifOption);
+        });
+        exportFormatSelect.value = DEFAULT_VIDEO_FORMAT;
+
+        this.populateSelect(videoBitrateSelect, BITRATE_PRESETS, DEFAULT_BITRATE_PRESET);
+        this.populateSelect(gifSizeSelect, GIF_SIZE_PRESETS, DEFAULT_GIF_SIZE);
+
+        // Safari can't encode WebP from a canvas
+        if (!canEncodeWebp()) {
+            exportFormatSelect.querySelector('option[value="webp"]')?.remove();
+        }
+
+        exportFormatSelect.addEventListener('change', () => {
+            this.updateExportOptions();
+            this.updateShareOptions();
+        });
+        exportButton.addEventListener('click', () => this.exportSelected());
+
+        // Frame rate, loop style, length and held end frames for animated exports
+        if (timingOptions) {
+            this.populateSelect(exportLoopSelect, LOOP_STYLES, DEFAULT_LOOP_STYLE);
+            [exportFpsInput, exportLoopSelect, exportLengthSelect, exportRepeatsInput, exportDurationInput, exportHoldInput]
+                .forEach(control => control.addEventListener('input', () => this.updateTimingOptions()));
+            this.syncExportTiming();
+        }
+
+        // Aspect crop, target size and rotation
+        if (framingOptions) {
+            this.setupFramingOptions();
+        }
+
+        this.updateExportOptions();
+    }
+
+    /**
+     * Fill the framing controls and keep the crop preview in step with them
+     */
+    setupFramingOptions() {
+        this.populateSelect(exportAspectSelect, ASPECT_PRESETS, DEFAULT_ASPECT_PRESET);
+        this.populateSelect(exportSizeSelect, OUTPUT_SIZES, DEFAULT_OUTPUT_SIZE);
+        this.populateSelect(exportRotationSelect, ROTATIONS, DEFAULT_ROTATION);
+        this.cropEditor = new CropEditor(cropPreview, () => this.updateFramingOptions());
+
+        // A new aspect or rotation leaves the crop a different amount of room, so center it again
+        [exportAspectSelect, exportRotationSelect].forEach(select => select.addEventListener('change', () => {
+            this.cropEditor.resetPan();
+            this.updateFramingOptions();
+        }));
+        exportSizeSelect.addEventListener('change', () => this.updateFramingOptions());
+
+        this.updateFramingOptions();
+    }
+
+    /**
+     * Fill a select element from a preset registry
+     * @param {HTMLSelectElement} select - Select element to fill
+     * @param {object} presets - Object whose values have a `label`
+     * @param {string} defaultValue - Key to preselect
+     */
+    populateSelect(select, presets, defaultValue) {
+        Object.entries(presets).forEach(([name, preset]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = preset.label;
+            select.appendChild(option);
+        });
+        select.value = defaultValue;
+    }
+
+    /**
+     * Check which video formats can be encoded at the current export size, unless that size
+     * was already checked. Framing changes the size, so this runs again whenever it does.
+     * @returns {Promise<void>} Resolves once the check for the current size is done
+     */
+    updateVideoFormats() {
+        const { width, height } = this.getVideoDimensions();
+        const size = `${width}x${height}`;
+        if (size !== this.videoFormatSize) {
+            this.videoFormatSize = size;
+            this.videoSupportCheck = this.disableUnsupportedVideoFormats(width, height);
+        }
+        return this.videoSupportCheck;
+    }
+
+    /**
+     * Disable video formats the browser can't encode at a given size
+     * @param {number} width - Export width (even)
+     * @param {number} height - Export height (even)
+     */
+    async disableUnsupportedVideoFormats(width, height) {
+        const supported = await getSupportedVideoFormats(width, height);
+        if (this.videoFormatSize !== `${width}x${height}`) {
+            return; // The size changed while checking; a newer check applies
+        }
+        console.log(`Supported video formats at ${width}x${height}:`, supported);
+
+        this.supportedVideoFormats = supported;
+        if (!exportFormatSelect) {
+            this.updateShareOptions();
+            return;
+        }
+
+        // Disabled rather than removed, so a format comes back when the size allows it again
+        Object.keys(VIDEO_FORMATS).forEach(name => {
+            const option = exportFormatSelect.querySelector(`option[value="${name}"]`);
+            if (option) {
+                option.disabled = !supported.includes(name);
+            }
+        });
+
+        // Fall back to the first usable option (GIF if no video codec is available)
+        if (exportFormatSelect.selectedOptions[0]?.disabled) {
+            const firstEnabled = [...exportFormatSelect.options].find(option => !option.disabled);
+            exportFormatSelect.value = firstEnabled ? firstEnabled.value : '';
+        }
+        this.updateExportOptions();
+        this.updateShareOptions();
+    }
+
+    /**
+     * Show or hide the export panel
+     */
+    toggleExportPanel() {
+        if (!exportPanel) {
+            // No panel in the page: fall back to a direct MP4 download
+            this.generateVideoDownload();
+            return;
+        }
+        const isOpen = exportPanel.style.display === 'flex';
+        exportPanel.style.display = isOpen ? 'none' : 'flex';
+
+        // Start from what is playing on screen
+        if (!isOpen) {
+            this.syncExportTiming();
+            this.updateFramingOptions();
+        }
+
+        // Both panels open from the bottom-left corner
+        if (!isOpen && colorPanel) {
+            colorPanel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show only the options that apply to the selected format
+     */
+    updateExportOptions() {
+        const format = exportFormatSelect.value;
+        videoOptions.style.display = format in VIDEO_FORMATS ? 'flex' : 'none';
+        gifOptions.style.display = format === 'gif' ? 'flex' : 'none';
+        webpOptions.style.display = format === 'webp' ? 'flex' : 'none';
+        framesOptions.style.display = format === 'frames' ? 'flex' : 'none';
+        if (timingOptions) {
+            // A project keeps the slices, not a rendered loop
+            timingOptions.style.display = format === 'project' ? 'none' : 'flex';
+        }
+        if (framingOptions) {
+            framingOptions.style.display = format === 'project' ? 'none' : 'flex';
+        }
+    }
+
+    /**
+     * Set the export timing controls to match the on-screen playback
+     */
+    syncExportTiming() {
+        if (!timingOptions) {
+            return;
+        }
+
+        const timing = getDefaultExportTiming(this.frameProcessor?.getAnimationRenderer(), this.frameRate);
+        exportFpsInput.value = String(timing.frameRate);
+        exportLoopSelect.value = timing.loopStyle;
+        exportLengthSelect.value = timing.lengthMode;
+        exportRepeatsInput.value = String(timing.repeats);
+        exportDurationInput.value = String(timing.duration);
+        exportHoldInput.value = String(timing.holdFrames);
+        this.updateTimingOptions();
+    }
+
+    /**
+     * Show the length field for the selected mode and summarize the resulting file
+     */
+    updateTimingOptions() {
+        const isDuration = exportLengthSelect.value === 'duration';
+        exportRepeatsField.style.display = isDuration ? 'none' : 'flex';
+        exportDurationField.style.display = isDuration ? 'flex' : 'none';
+
+        const timing = this.getExportTiming();
+        const frameCount = this.getExportSequence().length;
+        exportTimingSummary.textContent = `${frameCount} frames · ${(frameCount / timing.frameRate).toFixed(1)}s`;
+    }
+
+    /**
+     * Export timing chosen in the export panel (or the on-screen playback if there's no panel)
+     * @returns {{frameRate: number, loopStyle: string, lengthMode: string, repeats: number, duration: number, holdFrames: number}} Export timing
+     */
+    getExportTiming() {
+        const defaults = getDefaultExportTiming(this.frameProcessor?.getAnimationRenderer(), this.frameRate);
+        if (!timingOptions) {
+            return defaults;
+        }
+
+        const readNumber = (input, fallback, min, max) => {
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+        };
+
+        return {
+            frameRate: readNumber(exportFpsInput, defaults.frameRate, 1, 60),
+            loopStyle: exportLoopSelect.value in LOOP_STYLES ? exportLoopSelect.value : defaults.loopStyle,
+            lengthMode: exportLengthSelect.value === 'duration' ? 'duration' : 'repeats',
+            repeats: Math.round(readNumber(exportRepeatsInput, defaults.repeats, 1, MAX_EXPORT_REPEATS)),
+            duration: readNumber(exportDurationInput, defaults.duration, 1, MAX_EXPORT_DURATION),
+            holdFrames: Math.round(readNumber(exportHoldInput, defaults.holdFrames, 0, 60))
+        };
+    }
+
+    /**
+     * Framing chosen in the export panel (the whole capture if there's no panel)
+     * @returns {{aspect: string, size: string, rotation: string, pan: {x: number, y: number}}} Framing settings
+     */
+    getFramingSettings() {
+        if (!framingOptions || !this.cropEditor) {
+            return {
+                aspect: DEFAULT_ASPECT_PRESET,
+                size: DEFAULT_OUTPUT_SIZE,
+                rotation: DEFAULT_ROTATION,
+                pan: { x: 0.5, y: 0.5 }
+            };
+        }
+
+        return {
+            aspect: exportAspectSelect.value,
+            size: exportSizeSelect.value,
+            rotation: exportRotationSelect.value,
+            pan: { ...this.cropEditor.pan }
+        };
+    }
+
+    /**
+     * Crop, rotation and output size for exports of the current capture
+     * @returns {object} Framing from computeFraming()
+     */
+    getFraming() {
+        return computeFraming(this.canvasManager.width, this.canvasManager.height, this.getFramingSettings());
+    }
+
+    /**
+     * Redraw the crop preview on the visible slice and show the resulting size
+     */
+    updateFramingOptions() {
+        if (!framingOptions || !this.cropEditor) {
+            return;
+        }
+
+        const framing = this.getFraming();
+        const visibleIndex = this.canvasManager.currentlyVisibleIndex;
+        this.cropEditor.update(this.canvasManager.getSliceSource(visibleIndex >= 0 ? visibleIndex : 0), framing);
+        exportFramingSummary.textContent = `${framing.outputWidth}x${framing.outputHeight}`;
+        this.updateVideoFormats();
+    }
+
+    /**
+     * Playback rate of the on-screen animation
+     * @returns {number} Frames per second
+     */
+    getFrameRate() {
+        const animationRenderer = this.frameProcessor?.getAnimationRenderer();
+        return animationRenderer ? animationRenderer.frameRate : this.frameRate;
+    }
+
+    /**
+     * Export in the format selected in the export panel
+     */
+    async exportSelected() {
+        if (this.isExporting) {
+            return;
+        }
+
+        this.isExporting = true;
+        exportButton.disabled = true;
+
+        try {
+            const format = exportFormatSelect.value;
+            if (format === 'gif') {
+                await this.generateGifDownload({
+                    size: gifSizeSelect.value,
+                    dither: gifDitherToggle.checked
+                });
+            } else if (format === 'frames') {
+                await this.generateFramesDownload({ imageType: framesTypeSelect.value });
+            } else if (format === 'project') {
+                await this.generateProjectDownload();
+            } else if (format === 'apng' || format === 'webp') {
+                await this.generateAnimatedImageDownload({
+                    format,
+                    quality: parseFloat(webpQualitySelect.value)
+                });
+            } else {
+                await this.generateVideoDownload({
+                    format: exportFormatSelect.value,
+                    quality: videoBitrateSelect.value
+                });
+            }
+        } finally {
+            this.isExporting = false;
+            exportButton.disabled = false;
+        }
+    }
+
+    /**
+     * Show export progress on the export button (or the download button if there's no panel)
+     * @param {string} text - Progress text
+     */
+    setStatus(text) {
+        const target = this.statusElement || (exportPanel ? exportButton : downloadFile);
+        target.textContent = text;
+    }
+
+    /**
+     * Frame order for the export, from the export timing (loop style, length and held end frames)
+     * @returns {number[]} Canvas indices in playback order
+     */
+    getExportSequence() {
+        return buildExportSequence(this.canvasManager.canvasCount, this.getExportTiming());
+    }
+
+    /**
+     * Timestamped file name for exports
+     * @param {string} extension - File extension without the dot
+     * @returns {string} File name
+     */
+    getFileName(extension) {
+        return `timespy-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
+    }
+
+    /**
+     * Trigger a browser download for a generated file
+     * @param {Blob} blob - File contents
+     * @param {string} extension - File extension without the dot
+     */
+    saveBlob(blob, extension) {
+        const url = URL.createObjectURL(blob);
+
+        // Create download link
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getFileName(extension);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Clean up
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Video dimensions for the framed capture
+     * Ensure dimensions are even: video encoding requires both width and height to be even numbers
+     * @returns {{width: number, height: number}} Even dimensions
+     */
+    getVideoDimensions() {
+        const { outputWidth, outputHeight } = this.getFraming();
+        const width = outputWidth % 2 === 0 ?
+            outputWidth :
+            Math.max(2, outputWidth - 1);
+        const height = outputHeight % 2 === 0 ?
+            outputHeight :
+            Math.max(2, outputHeight - 1);
+        return { width, height };
+    }
 
+    /**
+     * Color grade to bake into exports, if any
+     * @returns {ColorGrader|null} The active grader
+     */
+    getColorGrader() {
+        const colorGrader = this.frameProcessor?.colorGrader;
+        return colorGrader && colorGrader.isActive() ? colorGrader : null;
+    }
+
+    /**
+     * Capture-sized canvas for grading a slice before it is framed
+     * @returns {OffscreenCanvas} The grading canvas
+     */
+    getGradeCanvas() {
+        const { width, height } = this.canvasManager;
+        if (!this.gradeCanvas || this.gradeCanvas.width !== width || this.gradeCanvas.height !== height) {
+            this.gradeCanvas = new OffscreenCanvas(width, height);
+            this.gradeContext = this.gradeCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        return this.gradeCanvas;
+    }
+
+    /**
+     * Draw a slice into a context, framed and scaled to the given size, with the color grade baked in
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {number} index - Slice index
+     * @param {number} width - Target width
+     * @param {number} height - Target height
+     * @param {object} framing - Crop and rotation from getFraming()
+     */
+    drawSlice(ctx, index, width, height, framing = this.getFraming()) {
+        const sourceCanvas = this.canvasManager.getSliceSource(index);
+        const colorGrader = this.getColorGrader();
+
+        // Grade the whole slice first: the time tint depends on where each line sits in the capture
+        let source = sourceCanvas;
+        if (colorGrader) {
+            source = this.getGradeCanvas();
+            colorGrader.drawGraded(this.gradeContext, sourceCanvas, source.width, source.height, index, this.canvasManager.canvasCount);
+        }
+
+        drawFramed(ctx, source, framing, width, height);
+    }
+
+    /**
+     * Encode a slice as an image, framed and with the color grade baked in
+     * @param {number} index - Slice index
+     * @param {string} type - Image MIME type
+     * @param {number} quality - Quality for lossy types (0-1)
+     * @returns {Promise<Blob|null>} Encoded image
+     */
+    async getSliceBlob(index, type = 'image/png', quality = undefined) {
+        const framing = this.getFraming();
+        if (!this.getColorGrader() && isIdentityFraming(framing)) {
+            return this.canvasManager.getCanvasBlob(index, type, quality);
+        }
+
+        const { outputWidth: width, outputHeight: height } = framing;
+        const canvas = new OffscreenCanvas(width, height);
+        this.drawSlice(canvas.getContext('2d'), index, width, height, framing);
+        return canvas.convertToBlob({ type, quality });
+    }
+
+    /**
+     * Create (or resize) a dedicated canvas for video rendering at the framed size
+     */
+    createRenderCanvas() {
+        const { width, height } = this.getVideoDimensions();
+
+        if (!this.renderCanvas) {
+            this.renderCanvas = document.createElement('canvas');
             this.renderContext = this.renderCanvas.getContext('2d', {
-                willReadFrequently: false,
                 alpha: false,
                 desynchronized: true
             });
         }
+
+        if (this.renderCanvas.width !== width || this.renderCanvas.height !== height) {
+            this.renderCanvas.width = width;
+            this.renderCanvas.height = height;
+
+            console.log(`Render canvas dimensions: ${width}x${height} (original: ${this.canvasManager.width}x${this.canvasManager.height})`);
+        }
         return this.renderCanvas;
     }
 
     /**
-     * Generate and download MP4 video from canvas frames
+     * Encode the ping-pong loop as a video
+     * @param {object} options
+     * @param {string} options.format - Key in VIDEO_FORMATS
+     * @param {string} options.quality - Key in BITRATE_PRESETS
+     * @returns {Promise<{blob: Blob, extension: string}>} The encoded video
      */
-    async generateVideoDownload() {
-        try {
-            // Update download button to show progress
-            const originalText = downloadFile.textContent;
-            downloadFile.textContent = 'Generating Video...';
-            downloadFile.disabled = true;
+    async encodeVideo({ format = DEFAULT_VIDEO_FORMAT, quality = DEFAULT_BITRATE_PRESET } = {}) {
+        const videoFormat = VIDEO_FORMATS[format] || VIDEO_FORMATS[DEFAULT_VIDEO_FORMAT];
+        const bitratePreset = BITRATE_PRESETS[quality] || BITRATE_PRESETS[DEFAULT_BITRATE_PRESET];
 
-            // Create render canvas
-            const renderCanvas = this.createRenderCanvas();
+        // The framing may have changed the size since formats were last checked
+        const { width, height } = this.getVideoDimensions();
+        if (!await canEncodeVideo(videoFormat.codec, { width, height, bitrate: bitratePreset.bitrate })) {
+            throw new Error(`${videoFormat.label} can't be encoded at ${width}x${height} in this browser; try another format or a smaller size`);
+        }
 
-            // Create mediabunny output
-            const output = new Output({
-                format: new Mp4OutputFormat(),
-                target: new BufferTarget(),
-            });
+        // Create render canvas
+        const renderCanvas = this.createRenderCanvas();
 
-            // Create video source from our render canvas
-            const videoSource = new CanvasSource(renderCanvas, {
-                codec: 'avc',
-                bitrate: QUALITY_HIGH,
-            });
-            output.addVideoTrack(videoSource);
+        // Create mediabunny output
+        const output = new Output({
+            format: videoFormat.createFormat(),
+            target: new BufferTarget(),
+        });
 
-            await output.start();
+        // Create video source from our render canvas
+        const videoSource = new CanvasSource(renderCanvas, {
+            codec: videoFormat.codec,
+            bitrate: bitratePreset.bitrate,
+        });
+        output.addVideoTrack(videoSource);
 
-            // Generate a complete cycle: 0->29->0 (60 frames total for smooth loop)
-            const frameDuration = 1 / 30; // 30 FPS
-            let currentTime = 0;
+        await output.start();
 
-            downloadFile.textContent = 'Rendering Frames...';
+        // Loops in the chosen style, at the export frame rate and length
+        const frameDuration = 1 / this.getExportTiming().frameRate;
+        const sequence = this.getExportSequence();
+        let currentTime = 0;
 
-            // Forward direction: 0 to 29
-            for (let i = 0; i < this.canvasManager.canvasCount; i++) {
-                // Copy the canvas content to our render canvas
-                this.copyCanvasFrame(i);
+        this.setStatus('Rendering Frames...');
 
-                // Add frame to video
-                await videoSource.add(currentTime, frameDuration);
-                currentTime += frameDuration;
-
-                // Update progress
-                const progress = Math.round((i / (this.canvasManager.canvasCount * 2)) * 100);
-                downloadFile.textContent = `Rendering: ${progress}%`;
-            }
+        for (let i = 0; i < sequence.length; i++) {
+            // Copy the canvas content to our render canvas
+            this.copyCanvasFrame(sequence[i]);
 
-            // Backward direction: 28 to 1 (skip 29 and 0 to avoid duplicates)
-            for (let i = this.canvasManager.canvasCount - 2; i > 0; i--) {
-                // Copy the canvas content to our render canvas
-                this.copyCanvasFrame(i);
+            // Add frame to video
+            await videoSource.add(currentTime, frameDuration);
+            currentTime += frameDuration;
 
-                // Add frame to video
-                await videoSource.add(currentTime, frameDuration);
-                currentTime += frameDuration;
+            // Update progress
+            const progress = Math.round(((i + 1) / sequence.length) * 100);
+            this.setStatus(`Rendering: ${progress}%`);
+        }
 
-                // Update progress
-                const totalFrames = this.canvasManager.canvasCount * 2 - 2;
-                const currentFrame = this.canvasManager.canvasCount + (this.canvasManager.canvasCount - 2 - i);
-                const progress = Math.round((currentFrame / totalFrames) * 100);
-                downloadFile.textContent = `Rendering: ${progress}%`;
-            }
+        this.setStatus('Finalizing Video...');
 
-            downloadFile.textContent = 'Finalizing Video...';
+        // Finalize the video
+        await output.finalize();
 
-            // Finalize the video
-            await output.finalize();
+        const buffer = output.target.buffer;
+        return {
+            blob: new Blob([buffer], { type: videoFormat.mimeType }),
+            extension: videoFormat.extension
+        };
+    }
 
-            // Get the buffer and create download
-            const buffer = output.target.buffer;
-            const blob = new Blob([buffer], { type: 'video/mp4' });
-            const url = URL.createObjectURL(blob);
+    /**
+     * Generate and download a video from canvas frames
+     * @param {object} options
+     * @param {string} options.format - Key in VIDEO_FORMATS
+     * @param {string} options.quality - Key in BITRATE_PRESETS
+     */
+    async generateVideoDownload({ format = DEFAULT_VIDEO_FORMAT, quality = DEFAULT_BITRATE_PRESET } = {}) {
+        const originalText = exportPanel ? 'Export' : downloadFile.textContent;
 
-            // Create download link
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `timespy-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.mp4`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+        try {
+            // Update download button to show progress
+            this.setStatus('Generating Video...');
+            downloadFile.disabled = true;
 
-            // Clean up
-            URL.revokeObjectURL(url);
+            // Encode, then create download
+            const { blob, extension } = await this.encodeVideo({ format, quality });
+            this.saveBlob(blob, extension);
 
             // Reset button
-            downloadFile.textContent = originalText;
+            this.setStatus(originalText);
             downloadFile.disabled = false;
 
-            console.log('Video download completed successfully');
+            console.log(`Video download completed successfully (${format}, ${quality})`);
 
         } catch (error) {
             console.error('Video generation failed:', error);
 
             // Reset button on error
-            downloadFile.textContent = 'Download Failed - Retry';
+            this.setStatus('Download Failed - Retry');
             downloadFile.disabled = false;
 
             // Show user-friendly error
@@ -157,23 +727,315 @@ export class DownloadManager {
         }
     }
 
+    /**
+     * Generate and download an animated GIF using the same frame sequence as the video
+     * @param {object} options
+     * @param {string} options.size - Key in GIF_SIZE_PRESETS
+     * @param {boolean} options.dither - Apply Floyd-Steinberg dithering
+     */
+    async generateGifDownload({ size = DEFAULT_GIF_SIZE, dither = false } = {}) {
+        try {
+            this.setStatus('Generating GIF...');
+
+            const preset = GIF_SIZE_PRESETS[size] || GIF_SIZE_PRESETS[DEFAULT_GIF_SIZE];
+            const { outputWidth: sourceWidth, outputHeight: sourceHeight } = this.getFraming();
+            const scale = Math.min(1, preset.maxDimension / Math.max(sourceWidth, sourceHeight));
+            const width = Math.max(1, Math.round(sourceWidth * scale));
+            const height = Math.max(1, Math.round(sourceHeight * scale));
+
+            // Scaled canvas to read pixels from
+            const gifCanvas = document.createElement('canvas');
+            gifCanvas.width = width;
+            gifCanvas.height = height;
+            const gifContext = gifCanvas.getContext('2d', { willReadFrequently: true });
+
+            const sequence = this.getExportSequence();
+
+            const bytes = await encodeGif({
+                frameCount: sequence.length,
+                width,
+                height,
+                delay: 1000 / this.getExportTiming().frameRate,
+                colors: preset.colors,
+                dither,
+                getFrameData: (i) => {
+                    this.drawSlice(gifContext, sequence[i], width, height);
+                    return gifContext.getImageData(0, 0, width, height);
+                },
+                onProgress: (progress) => {
+                    this.setStatus(`Encoding GIF: ${Math.round(progress * 100)}%`);
+                }
+            });
+
+            this.saveBlob(new Blob([bytes], { type: 'image/gif' }), 'gif');
+            this.setStatus('Export');
+
+            console.log(`GIF download completed (${width}x${height}, ${preset.colors} colors, dither: ${dither})`);
+
+        } catch (error) {
+            console.error('GIF generation failed:', error);
+            this.setStatus('Export Failed - Retry');
+            alert(`GIF generation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Generate and download an animated PNG or animated WebP at full color.
+     * Each slice is encoded once by the browser, then reused across the export sequence.
+     * @param {object} options
+     * @param {string} options.format - 'apng' (lossless) or 'webp'
+     * @param {number} options.quality - WebP quality (0-1; 1 is lossless in Chromium)
+     */
+    async generateAnimatedImageDownload({ format = 'apng', quality = 0.9 } = {}) {
+        const isWebp = format === 'webp';
+        const label = isWebp ? 'WebP' : 'APNG';
+
+        try {
+            this.setStatus(`Generating ${label}...`);
+
+            const imageType = isWebp ? 'image/webp' : 'image/png';
+            const { canvasCount } = this.canvasManager;
+            const { outputWidth: width, outputHeight: height } = this.getFraming();
+            const stills = [];
+
+            for (let i = 0; i < canvasCount; i++) {
+                const blob = await this.getSliceBlob(i, imageType, quality);
+                if (!blob) {
+                    throw new Error(`Could not encode slice ${i}`);
+                }
+                stills.push(new Uint8Array(await blob.arrayBuffer()));
+                this.setStatus(`Encoding ${label}: ${Math.round(((i + 1) / canvasCount) * 100)}%`);
+            }
+
+            const frames = this.getExportSequence().map(index => stills[index]);
+            const delay = 1000 / this.getExportTiming().frameRate;
+
+            const bytes = isWebp ?
+                encodeAnimatedWebp({ frames, width, height, delay }) :
+                encodeApng({ frames, delay });
+
+            this.saveBlob(new Blob([bytes], { type: isWebp ? 'image/webp' : 'image/apng' }), isWebp ? 'webp' : 'png');
+            this.setStatus('Export');
+
+            console.log(`${label} download completed (${frames.length} frames, ${Math.round(delay)}ms per frame)`);
+
+        } catch (error) {
+            console.error(`${label} generation failed:`, error);
+            this.setStatus('Export Failed - Retry');
+            alert(`${label} generation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Encode the slice that is currently on screen as a PNG still
+     * @returns {Promise<{blob: Blob, extension: string}>} The encoded still
+     */
+    async encodeStill() {
+        const visibleIndex = this.canvasManager.currentlyVisibleIndex;
+        const index = visibleIndex >= 0 ? visibleIndex : 0;
+        const blob = await this.getSliceBlob(index, 'image/png');
+        if (!blob) {
+            throw new Error(`Could not encode slice ${index}`);
+        }
+        return { blob, extension: 'png' };
+    }
+
+    /**
+     * Encode the capture and hand it to the system share sheet,
+     * falling back to a download where file sharing isn't supported
+     * @param {string} kind - 'video' (selected or first supported video format) or 'still' (PNG of the visible slice)
+     * @param {HTMLButtonElement} button - Button that shows progress
+     */
+    async shareCapture(kind, button) {
+        if (this.isExporting) {
+            return;
+        }
+
+        const originalText = button.textContent;
+        this.isExporting = true;
+        this.statusElement = button;
+        button.disabled = true;
+
+        try {
+            this.setStatus(kind === 'still' ? 'Preparing Still...' : 'Generating Video...');
+
+            // Without the export panel open, share what is playing on screen
+            if (exportPanel && exportPanel.style.display !== 'flex') {
+                this.syncExportTiming();
+            }
+
+            let encoded;
+            if (kind === 'still') {
+                encoded = await this.encodeStill();
+            } else {
+                await this.updateVideoFormats();
+                const format = this.getShareVideoFormat();
+                if (!format) {
+                    throw new Error('This browser cannot encode video');
+                }
+                encoded = await this.encodeVideo({ format });
+            }
+            const { blob, extension } = encoded;
+
+            const file = new File([blob], this.getFileName(extension), { type: blob.type });
+
+            if (navigator.canShare && navigator.canShare({ files: [file] })) {
+                await this.shareFile(file, button);
+            } else {
+                console.log('File sharing not supported, downloading instead');
+                this.saveBlob(blob, extension);
+            }
+
+            sharePanel.style.display = 'none';
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // The user closed the share sheet
+                console.log('Share cancelled');
+            } else {
+                console.error('Share failed:', error);
+                alert(`Sharing failed: ${error.message}`);
+            }
+        } finally {
+            this.isExporting = false;
+            this.statusElement = null;
+            button.textContent = originalText;
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Open the share sheet for a file.
+     * Browsers only allow navigator.share() shortly after a tap; if encoding took
+     * longer than that, ask for one more tap before sharing.
+     * @param {File} file - File to share
+     * @param {HTMLButtonElement} button - Button to reuse for the extra tap
+     */
+    async shareFile(file, button) {
+        const shareData = { files: [file], title: 'timespy' };
+
+        try {
+            await navigator.share(shareData);
+        } catch (error) {
+            if (error.name !== 'NotAllowedError') {
+                throw error;
+            }
+
+            button.textContent = 'Tap to Share';
+            button.disabled = false;
+            await new Promise(resolve => button.addEventListener('click', resolve, { once: true }));
+            await navigator.share(shareData);
+        }
+    }
+
+    /**
+     * Generate and download a ZIP with every slice as a numbered image plus a manifest
+     * @param {object} options
+     * @param {string} options.imageType - Key in FRAME_IMAGE_TYPES ('png' or 'jpeg')
+     */
+    async generateFramesDownload({ imageType = 'png' } = {}) {
+        try {
+            this.setStatus('Exporting Frames...');
+
+            const type = FRAME_IMAGE_TYPES[imageType] || FRAME_IMAGE_TYPES.png;
+            const { canvasCount } = this.canvasManager;
+            const { outputWidth: width, outputHeight: height } = this.getFraming();
+            const digits = Math.max(3, String(canvasCount - 1).length);
+            const files = {};
+            const frames = [];
+
+            for (let i = 0; i < canvasCount; i++) {
+                const blob = await this.getSliceBlob(i, type.mimeType, type.quality);
+                if (!blob) {
+                    throw new Error(`Could not encode slice ${i}`);
+                }
+
+                const name = `frame-${String(i).padStart(digits, '0')}.${type.extension}`;
+                // Images are already compressed, so store them without deflating again
+                files[name] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+                frames.push({ index: i, file: name });
+
+                this.setStatus(`Exporting Frames: ${Math.round(((i + 1) / canvasCount) * 100)}%`);
+            }
+
+            const manifest = {
+                app: 'timespy',
+                version: 1,
+                createdAt: new Date().toISOString(),
+                width,
+                height,
+                frameRate: this.getExportTiming().frameRate,
+                imageType: type.mimeType,
+                playbackOrder: this.getExportSequence(),
+                exportTiming: this.getExportTiming(),
+                framing: this.getFramingSettings(),
+                capture: this.frameProcessor ? this.frameProcessor.getCaptureSettings() : null,
+                frames
+            };
+            files['manifest.json'] = strToU8(JSON.stringify(manifest, null, 2));
+
+            this.setStatus('Packaging ZIP...');
+            const zipped = zipSync({ 'timespy-frames': files });
+
+            this.saveBlob(new Blob([zipped], { type: 'application/zip' }), 'zip');
+            this.setStatus('Export');
+
+            console.log(`Frame sequence download completed (${canvasCount} ${type.extension} files)`);
+
+        } catch (error) {
+            console.error('Frame export failed:', error);
+            this.setStatus('Export Failed - Retry');
+            alert(`Frame export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save the capture as a .timespy project that can be reopened later
+     */
+    async generateProjectDownload() {
+        if (!this.frameProcessor) {
+            throw new Error('Project files need the frame processor');
+        }
+
+        try {
+            this.setStatus('Saving Project...');
+
+            const bytes = await createProject({
+                frameProcessor: this.frameProcessor,
+                frameRate: this.getFrameRate(),
+                onProgress: (progress) => {
+                    this.setStatus(`Saving Project: ${Math.round(progress * 100)}%`);
+                }
+            });
+
+            this.saveBlob(new Blob([bytes], { type: PROJECT_MIME_TYPE }), PROJECT_EXTENSION);
+            this.setStatus('Export');
+
+            console.log(`Project saved (${this.canvasManager.canvasCount} slices, ${bytes.length} bytes)`);
+
+        } catch (error) {
+            console.error('Project save failed:', error);
+            this.setStatus('Export Failed - Retry');
+            alert(`Saving the project failed: ${error.message}`);
+        }
+    }
+
     /**
      * Copy a specific canvas frame to the render canvas
      * @param {number} frameIndex - Index of the frame to copy
      */
     copyCanvasFrame(frameIndex) {
-        if (!this.renderContext || !this.canvasManager.contexts[frameIndex]) {
+        if (!this.renderContext || !this.canvasManager.getContext(frameIndex)) {
             throw new Error(`Cannot copy frame ${frameIndex}: canvas not available`);
         }
 
         // Clear the render canvas
         this.renderContext.clearRect(0, 0, this.renderCanvas.width, this.renderCanvas.height);
 
-        // Get the source canvas
-        const sourceCanvas = this.canvasManager.canvases[frameIndex];
-
-        // Copy the frame to render canvas
-        this.renderContext.drawImage(sourceCanvas, 0, 0);
+        // Copy the frame (framed, with its color grade) to the render canvas; the odd pixel
+        // trimmed for the encoder falls off the edge rather than squeezing the image
+        const framing = this.getFraming();
+        this.drawSlice(this.renderContext, frameIndex, framing.outputWidth, framing.outputHeight, framing);
     }
 
     /**
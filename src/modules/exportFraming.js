@@ -0,0 +1,169 @@
+// exportFraming.js
+
+// Framing applied to exports: rotate the capture (portrait subjects shot on a
+// landscape sensor), crop it to an aspect ratio, and scale the result to a target
+// resolution. The crop is the largest region of the chosen aspect that fits the
+// rotated capture; `pan` (0-1 on each axis) says where it sits within the room left over.
+
+export const ASPECT_PRESETS = {
+    original: {
+        label: 'Original',
+        aspect: null
+    },
+    screen: {
+        label: 'As seen on screen',
+        aspect: 'screen'
+    },
+    story: {
+        label: '9:16 story',
+        aspect: 9 / 16
+    },
+    square: {
+        label: '1:1 square',
+        aspect: 1
+    },
+    wide: {
+        label: '16:9',
+        aspect: 16 / 9
+    },
+    portrait: {
+        label: '4:5',
+        aspect: 4 / 5
+    }
+};
+
+export const DEFAULT_ASPECT_PRESET = 'original';
+
+// Target resolutions, by the length of the shorter side
+export const OUTPUT_SIZES = {
+    source: {
+        label: 'Capture resolution',
+        shortSide: null
+    },
+    '1080': {
+        label: '1080p',
+        shortSide: 1080
+    },
+    '720': {
+        label: '720p',
+        shortSide: 720
+    },
+    '480': {
+        label: '480p',
+        shortSide: 480
+    }
+};
+
+export const DEFAULT_OUTPUT_SIZE = 'source';
+
+export const ROTATIONS = {
+    none: {
+        label: 'None',
+        degrees: 0
+    },
+    cw: {
+        label: '90° clockwise',
+        degrees: 90
+    },
+    ccw: {
+        label: '90° counter-clockwise',
+        degrees: 270
+    }
+};
+
+export const DEFAULT_ROTATION = 'none';
+
+/**
+ * Work out the crop and output size for a capture
+ * @param {number} sourceWidth - Capture width
+ * @param {number} sourceHeight - Capture height
+ * @param {object} options
+ * @param {string} options.aspect - Key in ASPECT_PRESETS
+ * @param {string} options.size - Key in OUTPUT_SIZES
+ * @param {string} options.rotation - Key in ROTATIONS
+ * @param {{x: number, y: number}} options.pan - Crop position within the free space (0-1 on each axis)
+ * @returns {object} Framing: source and rotated sizes, rotation, crop rectangle (rotated coordinates) and output size
+ */
+export function computeFraming(sourceWidth, sourceHeight, {
+    aspect = DEFAULT_ASPECT_PRESET,
+    size = DEFAULT_OUTPUT_SIZE,
+    rotation = DEFAULT_ROTATION,
+    pan = { x: 0.5, y: 0.5 }
+} = {}) {
+    const degrees = (ROTATIONS[rotation] || ROTATIONS[DEFAULT_ROTATION]).degrees;
+    const isSideways = degrees % 180 !== 0;
+    const rotatedWidth = isSideways ? sourceHeight : sourceWidth;
+    const rotatedHeight = isSideways ? sourceWidth : sourceHeight;
+
+    const preset = ASPECT_PRESETS[aspect] || ASPECT_PRESETS[DEFAULT_ASPECT_PRESET];
+    let ratio = rotatedWidth / rotatedHeight;
+    if (preset.aspect === 'screen') {
+        ratio = window.innerWidth / window.innerHeight;
+    } else if (preset.aspect) {
+        ratio = preset.aspect;
+    }
+
+    // Largest region of that aspect inside the rotated capture
+    let cropWidth = rotatedWidth;
+    let cropHeight = cropWidth / ratio;
+    if (cropHeight > rotatedHeight) {
+        cropHeight = rotatedHeight;
+        cropWidth = cropHeight * ratio;
+    }
+
+    const crop = {
+        x: (rotatedWidth - cropWidth) * Math.min(1, Math.max(0, pan.x)),
+        y: (rotatedHeight - cropHeight) * Math.min(1, Math.max(0, pan.y)),
+        width: cropWidth,
+        height: cropHeight
+    };
+
+    const { shortSide } = OUTPUT_SIZES[size] || OUTPUT_SIZES[DEFAULT_OUTPUT_SIZE];
+    const scale = shortSide ? shortSide / Math.min(cropWidth, cropHeight) : 1;
+
+    return {
+        sourceWidth,
+        sourceHeight,
+        degrees,
+        rotatedWidth,
+        rotatedHeight,
+        crop,
+        outputWidth: Math.max(1, Math.round(cropWidth * scale)),
+        outputHeight: Math.max(1, Math.round(cropHeight * scale))
+    };
+}
+
+/**
+ * Whether a framing leaves the capture exactly as it is
+ * @param {object} framing - Result of computeFraming()
+ * @returns {boolean} True if nothing is rotated, cropped or scaled
+ */
+export function isIdentityFraming(framing) {
+    return framing.degrees === 0 &&
+        framing.outputWidth === framing.sourceWidth &&
+        framing.outputHeight === framing.sourceHeight &&
+        framing.crop.width === framing.sourceWidth &&
+        framing.crop.height === framing.sourceHeight;
+}
+
+/**
+ * Draw a capture-sized image rotated, cropped and scaled into a context
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {CanvasImageSource} source - Image at capture size
+ * @param {object} framing - Result of computeFraming()
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ */
+export function drawFramed(ctx, source, framing, width, height) {
+    const { crop, degrees, rotatedWidth, rotatedHeight, sourceWidth, sourceHeight } = framing;
+
+    ctx.save();
+    // Map the crop region onto the target...
+    ctx.scale(width / crop.width, height / crop.height);
+    ctx.translate(-crop.x, -crop.y);
+    // ...then turn the capture into the rotated frame the crop is expressed in
+    ctx.translate(rotatedWidth / 2, rotatedHeight / 2);
+    ctx.rotate((degrees * Math.PI) / 180);
+    ctx.drawImage(source, -sourceWidth / 2, -sourceHeight / 2, sourceWidth, sourceHeight);
+    ctx.restore();
+}
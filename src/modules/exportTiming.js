@@ -0,0 +1,78 @@
+// exportTiming.js
+import { PLAYBACK_MODES, getPlaybackMode } from './playbackModes.js';
+
+// Turns export settings into the list of slices written to an animated file, so
+// exports can match on-screen playback: the same frame rate, the same loop style
+// (any looping playback mode), a number of repeats or an exact duration, and
+// optionally the first and last slices held for a moment at each turn.
+
+// Loop styles offered for exports: the playback modes that loop
+export const LOOP_STYLES = Object.fromEntries(
+    Object.entries(PLAYBACK_MODES).filter(([, mode]) => mode.loops)
+);
+
+export const DEFAULT_LOOP_STYLE = 'ping-pong';
+
+// Limits for the export length controls
+export const MAX_EXPORT_REPEATS = 50;
+export const MAX_EXPORT_DURATION = 120; // Seconds
+
+/**
+ * Export settings that reproduce the current on-screen playback
+ * @param {AnimationRenderer|null} renderer - Renderer driving the on-screen animation
+ * @param {number} fallbackFrameRate - Frame rate to use without a renderer
+ * @returns {{frameRate: number, loopStyle: string, lengthMode: string, repeats: number, duration: number, holdFrames: number}} Export timing
+ */
+export function getDefaultExportTiming(renderer, fallbackFrameRate = 30) {
+    const playbackMode = renderer?.playbackModeName;
+    return {
+        frameRate: renderer ? renderer.frameRate : fallbackFrameRate,
+        // 'Play once' exports as a forward loop, since animated files loop anyway
+        loopStyle: playbackMode in LOOP_STYLES ? playbackMode : (playbackMode === 'once' ? 'forward' : DEFAULT_LOOP_STYLE),
+        lengthMode: 'repeats',
+        repeats: 1,
+        duration: 5,
+        holdFrames: 0
+    };
+}
+
+/**
+ * Slices for one loop in the given style
+ * @param {string} loopStyle - Key in LOOP_STYLES
+ * @param {number} count - Number of slices
+ * @returns {number[]} Slice indices in playback order
+ */
+export function getLoopCycle(loopStyle, count) {
+    const mode = getPlaybackMode(loopStyle);
+    const length = mode.cycleLength(count);
+    return Array.from({ length }, (_, position) => mode.frameAt(position, count));
+}
+
+/**
+ * Full frame sequence for an export
+ * @param {number} count - Number of slices
+ * @param {object} timing - Export timing (see getDefaultExportTiming)
+ * @returns {number[]} Slice index for every frame written
+ */
+export function buildExportSequence(count, { frameRate, loopStyle, lengthMode, repeats, duration, holdFrames }) {
+    // One loop, with the end slices repeated where playback arrives at them
+    const loop = getLoopCycle(loopStyle, count);
+    const cycle = [];
+    loop.forEach((index, position) => {
+        cycle.push(index);
+        const previous = loop[(position - 1 + loop.length) % loop.length];
+        if ((index === 0 || index === count - 1) && index !== previous) {
+            for (let i = 0; i < holdFrames; i++) {
+                cycle.push(index);
+            }
+        }
+    });
+
+    // Repeats write whole loops, so the file loops seamlessly; a duration is met exactly,
+    // cutting the last loop short (or the only loop, for long captures) where it has to
+    const frameCount = lengthMode === 'duration'
+        ? Math.max(1, Math.round(duration * frameRate))
+        : Math.max(1, Math.round(repeats)) * cycle.length;
+
+    return Array.from({ length: frameCount }, (_, i) => cycle[i % cycle.length]);
+}
@@ -0,0 +1,121 @@
+import { debugElement } from './domElements.js';
+import {
+    Input,
+    BlobSource,
+    CanvasSink,
+    ALL_FORMATS,
+} from 'mediabunny';
+
+// Decodes a local video file (MP4, WebM, MOV, ...) and exposes its frames through
+// the same async-iterator contract as CameraManager.getFrameStream().
+// Unlike the camera, a file is not a real-time source: every decoded frame is yielded
+// and the consumer's pace decides how fast decoding runs, so no frames are dropped.
+
+export class FileSource {
+    /**
+     * @param {File} file - Video file picked by the user
+     */
+    constructor(file) {
+        this.debugElement = debugElement;
+        this.file = file;
+        this.input = null;
+        this.videoTrack = null;
+        this.videoWidth = 0;
+        this.videoHeight = 0;
+        this.isStreaming = false;
+        this.sourceType = 'file';
+        this.loop = true; // Restart from the beginning if the file ends before capture completes
+    }
+
+    updateDebug(message) {
+        if (this.debugElement) {
+            this.debugElement.textContent = `Status: ${message}`;
+        }
+        console.log('Debug:', message);
+    }
+
+    async initialize() {
+        try {
+            this.updateDebug(`Opening ${this.file.name}...`);
+
+            this.input = new Input({
+                source: new BlobSource(this.file),
+                formats: ALL_FORMATS,
+            });
+
+            this.videoTrack = await this.input.getPrimaryVideoTrack();
+            if (!this.videoTrack) {
+                throw new Error('No video track found in this file');
+            }
+
+            if (!(await this.videoTrack.canDecode())) {
+                throw new Error(`This browser cannot decode the ${this.videoTrack.codec || 'unknown'} video in this file`);
+            }
+
+            // Display dimensions already account for rotation metadata
+            this.videoWidth = this.videoTrack.displayWidth;
+            this.videoHeight = this.videoTrack.displayHeight;
+
+            this.updateDebug(`Video file ready (${this.videoWidth}x${this.videoHeight})`);
+
+            return {
+                width: this.videoWidth,
+                height: this.videoHeight,
+                facingMode: null
+            };
+        } catch (error) {
+            this.updateDebug(`File error: ${error.message}`);
+            console.error('Video file initialization failed:', error);
+            throw error;
+        }
+    }
+
+    async *getFrameStream() {
+        this.isStreaming = true;
+
+        // CanvasSink applies rotation metadata; a small pool keeps memory constant.
+        // Each yielded VideoFrame copies its canvas, so the pooled canvas can be reused.
+        const sink = new CanvasSink(this.videoTrack, { poolSize: 2 });
+        let timestampOffset = 0; // Keeps timestamps increasing across loops
+
+        try {
+            while (this.isStreaming) {
+                let passEnd = 0;
+                let framesInPass = 0;
+
+                for await (const { canvas, timestamp, duration } of sink.canvases()) {
+                    if (!this.isStreaming) break;
+
+                    framesInPass++;
+                    passEnd = timestamp + duration;
+
+                    yield new VideoFrame(canvas, {
+                        timestamp: Math.round((timestampOffset + timestamp) * 1e6) // microseconds
+                    });
+                }
+
+                // Stop when looping is off, or the file has no decodable frames
+                if (!this.loop || framesInPass === 0) break;
+
+                timestampOffset += passEnd;
+                console.log('🔁 End of video file reached, looping from the start');
+            }
+        } catch (error) {
+            console.error('File decoding error:', error);
+            this.updateDebug(`Decoding error: ${error.message}`);
+        } finally {
+            this.isStreaming = false;
+        }
+    }
+
+    stop() {
+        this.isStreaming = false;
+    }
+
+    getDimensions() {
+        return {
+            width: this.videoWidth,
+            height: this.videoHeight
+        };
+    }
+}
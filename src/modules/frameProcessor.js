@@ -1,6 +1,18 @@
 import { debugElement } from './domElements.js';
-import { CanvasManager } from './canvasManager.js';
+import { createCanvasManager, DEFAULT_CANVAS_BACKEND } from './canvasBackends.js';
 import { AnimationRenderer } from './animationRenderer.js';
+import { getMappingCurve, DEFAULT_MAPPING_CURVE } from './mappingCurves.js';
+import { getScanAxis, getScanLength, getScanPosition, DEFAULT_SCAN_AXIS } from './scanAxes.js';
+import { TimeWarpBuffer } from './timeWarpBuffer.js';
+import { ColorGrader, parseCubeLut } from './colorGrading.js';
+import { createSliceWriter, DEFAULT_SLICE_WRITER } from './sliceWriters.js';
+import { DroppedFrameMeter } from './frameStats.js';
+import { CaptureHud } from './captureHud.js';
+import { getCaptureDuration, getDueStep, DEFAULT_CAPTURE_DURATION } from './capturePacing.js';
+import { getSamplingMode, DEFAULT_SAMPLING_MODE } from './samplingModes.js';
+
+// Smooth sampling paced by frame: longest gap (microseconds) across which the previous frame is still blended
+const PER_FRAME_BLEND_MAX_GAP_US = 250000;
 
 export class FrameProcessor {
     constructor() {
@@ -8,19 +20,67 @@ export class FrameProcessor {
         this.frameProcessingCount = 0;
         this.lastVideoTime = -1;
         this.isProcessing = false;
-        this.currentTargetRow = 0; // Track which row we're currently filling across all canvases
+        this.processingClaim = null; // Token of the processFrame call that set isProcessing
+        this.currentTargetRow = 0; // Track which line along the scan axis we're currently filling across all canvases
         this.isComplete = false; // Track if we've filled all canvases completely
-        this.cameraManager = null; // Reference to camera manager for shutdown
+        this.captureMode = 'single'; // 'single' stops after one sweep, 'rolling' wraps around forever
+        this.isFrozen = false; // Rolling mode: hold the current state instead of overwriting it
+        this.isPaused = false; // Hold the current line while keeping the source open
+        this.resumeWaiters = []; // File sources wait here while paused instead of skipping frames
+        this.sweepCount = 0; // Number of completed sweeps (only grows past 1 in rolling mode)
+        this.lineTimestamps = []; // Per line along the scan axis: timestamp (µs) of the frame it was taken from
+        this.frameSource = null; // Reference to the frame source (camera or file) for shutdown
+        this.onComplete = null; // Called once a single-sweep capture has filled every line
+        this.onFreeze = null; // Called once a frozen rolling capture's lines have reached the slices
+        this.onRendererChange = null; // Called with the new AnimationRenderer whenever dimensions change
+
+        // Mapping curve that picks the source row for each canvas
+        this.mappingCurveName = DEFAULT_MAPPING_CURVE;
+        this.mappingCurveOptions = {};
+        this.mapSourcePosition = getMappingCurve(this.mappingCurveName);
+
+        // Sweep pacing: one line per frame, or a fixed duration driven by frame timestamps
+        this.captureDurationName = DEFAULT_CAPTURE_DURATION;
+        this.captureDuration = getCaptureDuration(this.captureDurationName); // Seconds per sweep, or null
+        this.sweepStartTimestamp = null; // Timestamp (µs) at which line 0 was due; null re-anchors on the next frame
+
+        // Nearest-line copies, or sub-pixel sampling blended between frames
+        this.samplingModeName = DEFAULT_SAMPLING_MODE;
+        this.samplingMode = getSamplingMode(this.samplingModeName);
+        this.previousFrame = null; // Smooth sampling: last frame seen, kept to blend the next lines with
+
+        // Scan axis that decides whether rows, columns or diagonals are swept
+        this.scanAxisName = DEFAULT_SCAN_AXIS;
+        this.scanAxis = getScanAxis(this.scanAxisName);
 
         // Create OffscreenCanvas for frame processing
         this.offscreenCanvas = new OffscreenCanvas(640, 480);
         this.offscreenCtx = this.offscreenCanvas.getContext('2d', { willReadFrequently: true });
 
-        // Initialize canvas manager for the 30 animation frames
-        this.canvasManager = new CanvasManager();
+        // Initialize canvas manager for the animation frames (one canvas per time slice)
+        this.canvasBackend = DEFAULT_CANVAS_BACKEND;
+        this.canvasManager = createCanvasManager(this.canvasBackend);
 
         // Initialize animation renderer (will be set up after canvas manager is initialized)
         this.animationRenderer = null;
+
+        // Color grade shared by the on-screen animation and exports
+        this.colorGrader = new ColorGrader();
+
+        // Backend that carries out the line copies (Worker or main thread)
+        this.sliceWriterName = DEFAULT_SLICE_WRITER;
+        this.sliceWriter = null;
+
+        // Frames lost before they could be sliced
+        this.droppedFrames = new DroppedFrameMeter();
+
+        // Live feed, scan line and progress shown over the slices while capturing
+        this.captureHud = new CaptureHud();
+
+        // Live time-warp preview shown before the capture is committed
+        this.isPreviewing = false;
+        this.timeWarpBuffer = null;
+        this.timeWarpDelay = 60; // Preview delay at the far end of the sweep, in frames
     }
 
     updateDebug(message) {
@@ -31,17 +91,261 @@ export class FrameProcessor {
     }
 
     setDimensions(width, height) {
+        // Stop the previous renderer's loop before replacing it, keeping its playback choices
+        const playbackSettings = this.animationRenderer?.getPlaybackSettings() ?? null;
+        if (this.animationRenderer) {
+            this.animationRenderer.cleanup();
+        }
+
         this.offscreenCanvas.width = width;
         this.offscreenCanvas.height = height;
 
         // Initialize the canvas manager with the same dimensions
         this.canvasManager.initialize(width, height);
+        this.lineTimestamps = new Array(this.getScanLength()).fill(null);
+
+        // Size the slice writer's canvases to match
+        if (!this.sliceWriter) {
+            this.setSliceWriter(this.sliceWriterName);
+        }
+        this.sliceWriter.initialize();
+        this.droppedFrames.resetTiming();
+        this.sweepStartTimestamp = null;
+        this.releasePreviousFrame();
+        this.captureHud.initialize(width, height);
 
         // Initialize animation renderer after canvas manager is ready
-        this.animationRenderer = new AnimationRenderer(this.canvasManager);
+        this.animationRenderer = new AnimationRenderer(this.canvasManager, this.colorGrader);
+        if (playbackSettings) {
+            this.animationRenderer.applyPlaybackSettings(playbackSettings);
+        }
+        if (this.onRendererChange) {
+            this.onRendererChange(this.animationRenderer);
+        }
 
         // Start the animation rendering loop
         this.animationRenderer.startRendering();
+
+        // Keep the live preview running across dimension changes (e.g. camera toggle)
+        if (this.isPreviewing) {
+            this.startLivePreview();
+        }
+    }
+
+    /**
+     * Show the live time-warp preview instead of capturing.
+     * Frames go into a ring buffer until commitCapture() is called.
+     */
+    startLivePreview() {
+        if (!this.canvasManager.isInitialized || !this.animationRenderer) {
+            console.warn('Cannot start live preview before dimensions are set');
+            return;
+        }
+
+        this.isPreviewing = true;
+
+        if (this.timeWarpBuffer) {
+            this.timeWarpBuffer.cleanup();
+        }
+        this.timeWarpBuffer = new TimeWarpBuffer({ maxDelay: this.timeWarpDelay });
+        this.timeWarpBuffer.setAxis(this.scanAxis);
+        this.timeWarpBuffer.initialize(this.canvasManager.width, this.canvasManager.height);
+
+        // The slice canvases are empty until capture starts, so show only the preview
+        this.captureHud.hide();
+        this.animationRenderer.stopRendering();
+        this.canvasManager.hideAllCanvases();
+        this.animationRenderer.showPreview();
+
+        this.updateDebug('Live preview - press capture to start time-slicing');
+    }
+
+    /**
+     * Set how far the live preview lags at the far end of the sweep (each line in between lags proportionally)
+     * @param {number} frames - Delay in frames
+     */
+    setTimeWarpDelay(frames) {
+        this.timeWarpDelay = Math.max(1, Math.round(frames));
+        if (this.timeWarpBuffer) {
+            this.timeWarpBuffer.setDelay(this.timeWarpDelay);
+        }
+    }
+
+    /**
+     * Leave the live preview and start filling the slice canvases
+     */
+    commitCapture() {
+        if (!this.isPreviewing) {
+            return;
+        }
+
+        this.isPreviewing = false;
+        this.currentTargetRow = 0;
+        this.sweepStartTimestamp = null;
+
+        if (this.timeWarpBuffer) {
+            this.timeWarpBuffer.cleanup();
+            this.timeWarpBuffer = null;
+        }
+
+        if (this.animationRenderer) {
+            this.animationRenderer.hidePreview();
+            this.animationRenderer.startRendering();
+        }
+
+        this.updateDebug('Capture started');
+    }
+
+    /**
+     * Choose how slices are held and displayed (call before setDimensions)
+     * @param {string} name - Key in CANVAS_BACKENDS ('stacked' or 'single')
+     */
+    setCanvasBackend(name) {
+        if (name === this.canvasBackend) {
+            return;
+        }
+
+        const sliceCount = this.canvasManager.canvasCount;
+        this.canvasManager.cleanup();
+        this.canvasBackend = name;
+        this.canvasManager = createCanvasManager(name, sliceCount);
+
+        // The slice writer copies into the canvas manager, so it has to follow
+        if (this.sliceWriter) {
+            this.setSliceWriter(this.sliceWriterName);
+        }
+
+        console.log(`Canvas backend set to ${name}`);
+    }
+
+    /**
+     * Choose where line copies run (call before setDimensions)
+     * @param {string} name - Key in SLICE_WRITERS ('worker' or 'main')
+     */
+    setSliceWriter(name) {
+        if (this.sliceWriter) {
+            this.sliceWriter.cleanup();
+        }
+
+        const { name: actualName, writer } = createSliceWriter(name, this.canvasManager);
+        this.sliceWriterName = actualName;
+        this.sliceWriter = writer;
+
+        // Graded copies of the slices go stale whenever the slice canvases change
+        this.sliceWriter.onSync = () => {
+            if (this.animationRenderer) {
+                this.animationRenderer.markSlicesChanged();
+            }
+        };
+
+        // If the Worker fails, keep capturing on the main thread
+        this.sliceWriter.onError = () => {
+            console.warn('Slice worker failed, switching to the main thread');
+            this.setSliceWriter('main');
+        };
+
+        console.log(`Slicing on: ${actualName}`);
+    }
+
+    /**
+     * Load a finished capture (e.g. from the gallery) instead of capturing one
+     * @param {object} capture
+     * @param {number} capture.width - Slice width
+     * @param {number} capture.height - Slice height
+     * @param {object} capture.settings - Settings recorded by getCaptureSettings()
+     * @param {Array<number|null>} capture.lineTimestamps - Per-line timestamps recorded by getLineTimestamps()
+     * @param {number} capture.frameRate - Playback rate of the animation
+     * @param {string|null} capture.playbackMode - Key in PLAYBACK_MODES
+     * @param {string|null} capture.customLut - .cube text of an imported LUT in the grade
+     * @param {CanvasImageSource[]} images - One image per slice
+     */
+    restoreCapture({ width, height, settings = {}, lineTimestamps = null, frameRate = null, playbackMode = null, customLut = null }, images) {
+        this.setSliceCount(images.length);
+        if (settings.captureMode) {
+            this.setCaptureMode(settings.captureMode);
+        }
+        if (settings.captureDuration) {
+            this.setCaptureDuration(settings.captureDuration);
+        }
+        if (settings.samplingMode) {
+            this.setSamplingMode(settings.samplingMode);
+        }
+        if (settings.scanAxis) {
+            this.setScanAxis(settings.scanAxis);
+        }
+        if (settings.mappingCurve) {
+            this.setMappingCurve(settings.mappingCurve, settings.curveOptions);
+        }
+        if (settings.colorGrade) {
+            this.colorGrader.setPreset(settings.colorGrade.preset);
+            this.colorGrader.setTimeTint(settings.colorGrade.timeTint);
+            this.restoreCustomLut(customLut, settings.colorGrade.lut);
+        }
+
+        this.isPreviewing = false;
+        this.setDimensions(width, height);
+
+        images.forEach((image, index) => {
+            this.canvasManager.drawSliceImage(index, image);
+        });
+
+        if (Array.isArray(lineTimestamps) && lineTimestamps.length === this.lineTimestamps.length) {
+            this.lineTimestamps = [...lineTimestamps];
+        }
+        if (frameRate) {
+            this.animationRenderer.setFrameRate(frameRate);
+        }
+        if (playbackMode) {
+            this.animationRenderer.setPlaybackMode(playbackMode);
+        }
+
+        this.frameProcessingCount = settings.framesProcessed || 0;
+        this.sweepCount = 1;
+        this.isComplete = true;
+        this.animationRenderer.invalidateGradeCache();
+
+        this.updateDebug(`Loaded capture (${images.length} slices, ${width}x${height})`);
+    }
+
+    /**
+     * Reapply an imported LUT saved with a capture
+     * @param {string|null} source - The LUT's .cube text (null if the capture has none)
+     * @param {string|null} name - Name recorded in the grade settings
+     */
+    restoreCustomLut(source, name) {
+        if (!source) {
+            if (name) {
+                console.warn(`LUT "${name}" was not saved with this capture; showing it without`);
+            }
+            if (this.colorGrader.customLut) {
+                this.colorGrader.setCustomLut(null);
+            }
+            return;
+        }
+
+        try {
+            this.colorGrader.setCustomLut(parseCubeLut(source), name, source);
+        } catch (error) {
+            console.error(`Could not restore LUT "${name}":`, error);
+            this.colorGrader.setCustomLut(null);
+        }
+    }
+
+    /**
+     * Set the number of time slices (call before setDimensions)
+     * @param {number} count - Number of canvases to fill
+     */
+    setSliceCount(count) {
+        this.canvasManager.setCanvasCount(count);
+        console.log(`Slice count set to ${this.canvasManager.canvasCount}`);
+    }
+
+    /**
+     * Set the frame source reference for shutdown capability
+     * @param {CameraManager|FileSource} frameSource - Any source with a stop() method
+     */
+    setFrameSource(frameSource) {
+        this.frameSource = frameSource;
     }
 
     /**
@@ -49,82 +353,473 @@ export class FrameProcessor {
      * @param {CameraManager} cameraManager - The camera manager instance
      */
     setCameraManager(cameraManager) {
-        this.cameraManager = cameraManager;
+        this.setFrameSource(cameraManager);
+    }
+
+    /**
+     * Select the mapping curve used to pick source rows (applies from the next frame)
+     * @param {string} name - Curve name from MAPPING_CURVES
+     * @param {object} options - Curve options (e.g. { cycles: 3 } or { points: [0, 1, 0] })
+     */
+    setMappingCurve(name, options = {}) {
+        this.mappingCurveName = name;
+        this.mappingCurveOptions = options;
+        this.mapSourcePosition = getMappingCurve(name, options);
+        console.log(`Mapping curve set to ${name}`, options);
+    }
+
+    /**
+     * Select the scan axis (call before capture starts, since it restarts the sweep)
+     * @param {string} name - Axis name from SCAN_AXES
+     */
+    setScanAxis(name) {
+        this.scanAxisName = name;
+        this.scanAxis = getScanAxis(name);
+        this.colorGrader.setScanAxis(this.scanAxis);
+        this.currentTargetRow = 0;
+        console.log(`Scan axis set to ${name}`);
+    }
+
+    /**
+     * Select how fast the sweep moves
+     * @param {string} name - Key in CAPTURE_DURATIONS ('per-frame' or a fixed duration)
+     */
+    setCaptureDuration(name) {
+        this.captureDurationName = name;
+        this.captureDuration = getCaptureDuration(name);
+        this.sweepStartTimestamp = null;
+        console.log(`Capture duration set to ${name}`);
+    }
+
+    /**
+     * Select how source lines are sampled
+     * @param {string} name - Key in SAMPLING_MODES ('fast' or 'smooth')
+     */
+    setSamplingMode(name) {
+        this.samplingModeName = name;
+        this.samplingMode = getSamplingMode(name);
+        this.releasePreviousFrame();
+        console.log(`Sampling mode set to ${name}`);
+    }
+
+    /**
+     * Whether lines are blended with the previous frame
+     * @returns {boolean} True for smooth sampling
+     */
+    usesTemporalBlend() {
+        return this.samplingMode.temporal;
+    }
+
+    /**
+     * Keep a frame to blend the next lines with
+     * @param {VideoFrame} frame - Frame to keep (ownership is taken)
+     */
+    holdPreviousFrame(frame) {
+        this.releasePreviousFrame();
+        this.previousFrame = frame;
+    }
+
+    releasePreviousFrame() {
+        if (this.previousFrame) {
+            this.previousFrame.close();
+            this.previousFrame = null;
+        }
+    }
+
+    /**
+     * Smooth sampling: how much of the previous frame goes into each target line.
+     * With duration pacing a line gets the two frames around the moment it was due, weighted
+     * by how close each is; pacing by frame, it mixes the previous and current frame evenly.
+     * @param {VideoFrame} frame - Current frame
+     * @param {number} lineCount - Number of lines about to be written
+     * @param {number} scanLength - Number of lines in a sweep
+     * @returns {{previousFrame: VideoFrame|null, previousWeights: Float32Array}|null} Blend for the writer, or null for fast sampling
+     */
+    buildBlend(frame, lineCount, scanLength) {
+        if (!this.samplingMode.subPixel) {
+            return null;
+        }
+
+        const previousWeights = new Float32Array(lineCount);
+        let previousFrame = null;
+
+        if (this.usesTemporalBlend() && this.previousFrame) {
+            const span = frame.timestamp - this.previousFrame.timestamp;
+            if (this.captureDuration === null) {
+                // A frame held across a pause or source gap is too old to blend with
+                if (span > 0 && span <= PER_FRAME_BLEND_MAX_GAP_US) {
+                    previousWeights.fill(0.5);
+                }
+            } else if (span > 0) {
+                const sweepDuration = this.captureDuration * 1e6;
+                for (let i = 0; i < lineCount; i++) {
+                    const dueTime = this.sweepStartTimestamp + ((this.currentTargetRow + i) / scanLength) * sweepDuration;
+                    previousWeights[i] = Math.min(1, Math.max(0, (frame.timestamp - dueTime) / span));
+                }
+            }
+            if (previousWeights.some(weight => weight > 0)) {
+                previousFrame = this.previousFrame.clone();
+            }
+        }
+
+        return { previousFrame, previousWeights };
+    }
+
+    /**
+     * Select single-sweep or continuous rolling capture
+     * @param {string} mode - 'single' or 'rolling'
+     */
+    setCaptureMode(mode) {
+        this.captureMode = mode === 'rolling' ? 'rolling' : 'single';
+        this.isFrozen = false;
+        console.log(`Capture mode set to ${this.captureMode}`);
+    }
+
+    /**
+     * Rolling mode: stop overwriting rows so the current state can be viewed and exported.
+     * The camera keeps running so that capture can resume instantly.
+     */
+    freeze() {
+        if (this.captureMode !== 'rolling' || this.isFrozen) {
+            return;
+        }
+        this.isFrozen = true;
+        this.captureHud.hide();
+        const flushed = this.sliceWriter ? this.sliceWriter.flush() : Promise.resolve();
+        flushed.then(() => {
+            // Skip it if capture resumed before the last lines arrived
+            if (this.isFrozen && this.onFreeze) {
+                this.onFreeze();
+            }
+        });
+        this.updateDebug('Frozen - rolling capture paused');
+    }
+
+    /**
+     * Rolling mode: resume overwriting the oldest rows
+     */
+    unfreeze() {
+        if (!this.isFrozen) {
+            return;
+        }
+        this.isFrozen = false;
+        this.sweepStartTimestamp = null; // Carry on from the held line rather than catching up
+        this.updateDebug('Rolling capture resumed');
+    }
+
+    /**
+     * Pause capture: the source stays open and the current line is held
+     */
+    pause() {
+        if (this.isPaused || this.isComplete || this.isPreviewing) {
+            return;
+        }
+        this.isPaused = true;
+        if (this.sliceWriter) {
+            this.sliceWriter.flush();
+        }
+        this.updateDebug(`Paused at line ${this.currentTargetRow}/${this.getScanLength()}`);
+    }
+
+    /**
+     * Resume a paused capture from the line it was held at
+     */
+    resume() {
+        if (!this.isPaused) {
+            return;
+        }
+        this.isPaused = false;
+        this.releaseResumeWaiters();
+
+        // The pause itself is not a gap in the source, nor time the sweep should catch up on
+        this.droppedFrames.resetTiming();
+        this.sweepStartTimestamp = null;
+        this.updateDebug('Capture resumed');
     }
 
+    /**
+     * Toggle between paused and running capture
+     * @returns {boolean} True if capture is now paused
+     */
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+        return this.isPaused;
+    }
+
+    releaseResumeWaiters() {
+        this.resumeWaiters.forEach(resolve => resolve());
+        this.resumeWaiters = [];
+    }
+
+    /**
+     * Clear every slice and start the sweep again from the first line.
+     * The caller reopens the source if it was stopped.
+     */
+    restart() {
+        this.isPaused = false;
+        this.releaseResumeWaiters();
+        this.isFrozen = false;
+        this.isComplete = false;
+        this.currentTargetRow = 0;
+        this.sweepStartTimestamp = null;
+        this.sweepCount = 0;
+        this.frameProcessingCount = 0;
+        this.lineTimestamps.fill(null);
+        this.droppedFrames.reset();
+
+        this.canvasManager.clearAllCanvases();
+        if (this.sliceWriter) {
+            // Starts over with blank slices and ignores frames still in flight
+            this.sliceWriter.initialize();
+        }
+        if (this.animationRenderer) {
+            this.animationRenderer.invalidateGradeCache();
+        }
+
+        this.updateDebug('Capture restarted');
+    }
+
+    /**
+     * Keep the lines swept so far and capture the rest again, starting at a given line.
+     * The caller reopens the source if it was stopped.
+     * @param {number} step - Sweep step to restart from (0 = first line of the sweep)
+     */
+    retakeFrom(step) {
+        const scanLength = this.getScanLength();
+        const clamped = Math.min(scanLength - 1, Math.max(0, Math.round(step)));
+
+        this.isPaused = false;
+        this.releaseResumeWaiters();
+        this.isComplete = false;
+        this.currentTargetRow = clamped;
+        this.sweepStartTimestamp = null;
+        this.droppedFrames.resetTiming();
+
+        this.updateDebug(`Retaking from line ${clamped}/${scanLength}`);
+    }
+
+    /**
+     * Toggle between frozen and live rolling capture
+     * @returns {boolean} True if capture is now frozen
+     */
+    toggleFreeze() {
+        if (this.isFrozen) {
+            this.unfreeze();
+        } else {
+            this.freeze();
+        }
+        return this.isFrozen;
+    }
+
+    /**
+     * Number of lines the sweep covers along the current scan axis
+     * @returns {number} Total lines (0 if canvases are not initialized)
+     */
+    getScanLength() {
+        if (!this.canvasManager.isInitialized) {
+            return 0;
+        }
+        return getScanLength(this.scanAxis, this.canvasManager.width, this.canvasManager.height);
+    }
+
+
+    /**
+     * How many lines the next frame should write
+     * @param {number} timestamp - Frame timestamp in microseconds
+     * @returns {number} 1 when pacing by frame; with a fixed duration, the lines that have fallen due (possibly 0)
+     */
+    getLinesDue(timestamp) {
+        if (this.captureDuration === null) {
+            return 1;
+        }
+
+        const scanLength = this.getScanLength();
+
+        // Anchor the timeline so the current line is due now (on start, resume or retake)
+        if (this.sweepStartTimestamp === null) {
+            this.releasePreviousFrame(); // Too old to blend with
+            this.sweepStartTimestamp = timestamp - (this.currentTargetRow / scanLength) * this.captureDuration * 1e6;
+            return 1;
+        }
+
+        // Never run past the end of the sweep in one frame
+        const dueStep = Math.min(scanLength - 1, getDueStep(timestamp, this.sweepStartTimestamp, this.captureDuration, scanLength));
+        return Math.max(0, dueStep - this.currentTargetRow + 1);
+    }
 
 
     async processFrame(frame) {
+        // Set once this call holds the processing flag; only the holder clears it, since
+        // a call waiting on a pause or the slice writer may overlap with later ones
+        let claim = null;
+
         try {
-            // Skip processing if we've already completed filling all canvases
-            if (this.isComplete) {
+            // Skip processing if we've already completed filling all canvases, or are frozen
+            if (this.isComplete || this.isFrozen) {
                 frame.close();
                 return;
             }
 
+            // Keep the HUD's feed live even for frames that won't be written
+            if (!this.isPreviewing) {
+                this.captureHud.update(frame, this.scanAxis, this.getProgress());
+            }
+
+            // Paused: a file waits in place, a live source keeps streaming but nothing is written
+            if (this.isPaused) {
+                if (this.frameSource && this.frameSource.sourceType === 'file') {
+                    await new Promise(resolve => this.resumeWaiters.push(resolve));
+                } else {
+                    frame.close();
+                    return;
+                }
+            }
+
+            this.droppedFrames.recordFrame(frame.timestamp);
+
             // Prevent overlapping processing
             if (this.isProcessing) {
+                this.droppedFrames.recordBusyDrop();
                 frame.close();
                 return;
             }
 
+            claim = {};
             this.isProcessing = true;
+            this.processingClaim = claim;
+
+            // Live preview: buffer the frame and draw the time-warped view, but don't capture yet
+            if (this.isPreviewing) {
+                if (this.timeWarpBuffer) {
+                    this.timeWarpBuffer.push(frame);
+                    this.animationRenderer.renderLivePreview(this.timeWarpBuffer);
+                }
+                frame.close();
+                return;
+            }
+
+            // Fixed-duration pacing: a frame that arrives before the next line is due writes nothing
+            const lineCount = this.getLinesDue(frame.timestamp);
+            if (lineCount === 0) {
+                if (this.usesTemporalBlend()) {
+                    this.holdPreviousFrame(frame);
+                } else {
+                    frame.close();
+                }
+                return;
+            }
+
+            // The slice writer still has earlier frames queued
+            if (this.sliceWriter.isBusy()) {
+                if (this.frameSource && this.frameSource.sourceType === 'file') {
+                    // A file isn't real-time, so wait rather than lose frames
+                    await this.sliceWriter.whenReady();
+                } else {
+                    this.droppedFrames.recordBusyDrop();
+                    if (this.usesTemporalBlend()) {
+                        // Still the nearest frame in time for the lines that come next
+                        this.holdPreviousFrame(frame);
+                    } else {
+                        frame.close();
+                    }
+                    return;
+                }
+            }
+
             this.frameProcessingCount++;
 
             // Show periodic updates about frame processing
             if (this.frameProcessingCount % 30 === 0) { // Every 30 frames (~1 second at 30fps)
                 const animStatus = this.animationRenderer ? this.animationRenderer.getStatus() : { isRendering: false };
-                const totalRows = frame.displayHeight;
-                const progressPercent = Math.round((this.currentTargetRow / totalRows) * 100);
-                this.updateDebug(`Processing frames... (${this.frameProcessingCount} processed) | Row: ${this.currentTargetRow}/${totalRows} (${progressPercent}%) | Animation: ${animStatus.isRendering ? 'Playing' : 'Stopped'}`);
+                const { currentRow, totalRows, progressPercent, droppedFrames } = this.getProgress();
+                this.updateDebug(`Processing frames... (${this.frameProcessingCount} processed) | Line: ${currentRow}/${totalRows} (${progressPercent}%) | Dropped: ${droppedFrames.dropped} (${droppedFrames.busyDrops} busy, ${droppedFrames.sourceDrops} source) on ${this.sliceWriterName} | Animation: ${animStatus.isRendering ? 'Playing' : 'Stopped'}`);
             }
 
-            // Write 30 different rows from the current frame to all 30 canvases
-            // Each canvas gets a different source row, but all write to the same target row
+            // Write a different line from the current frame to each of the canvases
+            // Each canvas gets a different source line, but all write to the same target line(s)
             if (this.canvasManager.isInitialized) {
-                const frameHeight = frame.displayHeight;
+                const sourceLength = getScanLength(this.scanAxis, frame.displayWidth, frame.displayHeight);
+                const scanLength = this.getScanLength();
+
+                // All canvases write to the same target lines: usually just the current one, but
+                // with duration pacing a sparse frame also fills the lines that fell due since the last one
+                const targetLines = new Int32Array(lineCount);
+                for (let i = 0; i < lineCount; i++) {
+                    targetLines[i] = getScanPosition(this.scanAxis, this.currentTargetRow + i, scanLength);
+                }
+                const sliceCount = this.canvasManager.canvasCount;
+
+                // Pick one source line per canvas (fractional when sampling between lines)
+                const subPixel = this.samplingMode.subPixel;
+                const sourceLines = subPixel ? new Float32Array(sliceCount) : new Int32Array(sliceCount);
+                for (let canvasIndex = 0; canvasIndex < sliceCount; canvasIndex++) {
+                    // Calculate which source line to use for this canvas using the selected mapping curve
+                    // Normalize canvas index to 0-1 range, map it, then scale to the source length
+                    const normalizedIndex = canvasIndex / (sliceCount - 1);
+                    const sourcePosition = this.mapSourcePosition(normalizedIndex) * (sourceLength - 1);
+                    sourceLines[canvasIndex] = subPixel ? sourcePosition : Math.floor(sourcePosition);
+                }
 
-                // Write one row to each of the 30 canvases
-                for (let canvasIndex = 0; canvasIndex < 30; canvasIndex++) {
-                    // Calculate which source row to use for this canvas using cosine distribution
-                    // This creates a gentle sway back and forth with more samples near center
+                // Remember when these lines were captured (read before the frame is handed off)
+                for (const targetLine of targetLines) {
+                    this.lineTimestamps[targetLine] = frame.timestamp;
+                }
 
-                    // Normalize canvas index to 0-1 range, then multiply by PI (0 to PI range)
-                    const normalizedIndex = (canvasIndex / (30 - 1)) * Math.PI;
+                // Blend with the previous frame, then keep this one for the next lines
+                const blend = this.buildBlend(frame, lineCount, scanLength);
+                if (this.usesTemporalBlend()) {
+                    this.holdPreviousFrame(frame.clone());
+                }
 
-                    // Use cosine function to create distribution: cos(0) = 1, cos(PI/2) = 0, cos(PI) = -1
-                    // Transform to 0-1 range: (cos(x) + 1) / 2
-                    // Then scale to frame height
-                    const sourceRow = Math.floor(((Math.cos(normalizedIndex) + 1) / 2) * (frameHeight - 1));
+                // Write the lines (the writer takes ownership of the frame)
+                this.sliceWriter.write(frame, this.scanAxis, sourceLines, targetLines, blend);
 
-                    // All canvases write to the same target row (current row being filled)
-                    const targetRow = this.currentTargetRow;
+                // Move to the next target line for the next frame
+                this.currentTargetRow += lineCount;
 
-                    // Write this row to the canvas
-                    this.canvasManager.writeFrameRow(canvasIndex, frame, sourceRow, targetRow);
+                // Rolling mode: wrap around and keep overwriting the oldest lines
+                if (this.currentTargetRow >= scanLength && this.captureMode === 'rolling') {
+                    this.currentTargetRow = 0;
+                    this.sweepCount++;
+                    if (this.sweepStartTimestamp !== null) {
+                        this.sweepStartTimestamp += this.captureDuration * 1e6;
+                    }
+                    console.log(`🔁 Rolling sweep ${this.sweepCount} complete, wrapping to the first line`);
                 }
 
-                // Move to the next target row for the next frame
-                this.currentTargetRow++;
-
-                // Check if we've completed filling all rows
-                if (this.currentTargetRow >= frameHeight) {
+                // Check if we've completed filling all lines
+                if (this.currentTargetRow >= scanLength) {
                     this.currentTargetRow = 0;
+                    this.sweepCount++;
                     this.isComplete = true;
+                    this.captureHud.hide();
 
-                    console.log(`✅ Time-slicing complete! Filled all ${frameHeight} rows across 30 canvases.`);
-                    this.updateDebug(`Time-slicing complete! Camera shutting down...`);
+                    // Make sure the last lines have reached the slice canvases
+                    await this.sliceWriter.flush();
 
-                    // Shutdown camera since we're done processing
-                    if (this.cameraManager) {
-                        console.log('🛑 Stopping camera - time-slicing complete');
-                        this.cameraManager.stop();
+                    console.log(`✅ Time-slicing complete! Filled all ${scanLength} lines (${this.scanAxisName}) across ${sliceCount} canvases.`);
+                    const dropped = this.droppedFrames.getStats();
+                    console.log(`📉 Dropped ${dropped.dropped} frames (${dropped.droppedPercent}%: ${dropped.busyDrops} busy, ${dropped.sourceDrops} source) slicing on ${this.sliceWriterName}`);
+                    this.updateDebug(`Time-slicing complete! Source shutting down...`);
+
+                    // Shutdown the camera (or file decoder) since we're done processing
+                    if (this.frameSource) {
+                        console.log('🛑 Stopping frame source - time-slicing complete');
+                        this.frameSource.stop();
                     }
 
                     // Update debug to show animation-only mode
                     setTimeout(() => {
-                        this.updateDebug(`Animation mode - ${frameHeight} frames captured. Enjoy the time-spy effect!`);
+                        this.updateDebug(`Animation mode - ${scanLength} frames captured. Enjoy the time-spy effect!`);
                     }, 1000);
+
+                    if (this.onComplete) {
+                        this.onComplete();
+                    }
                 }
             }
 
@@ -136,7 +831,10 @@ export class FrameProcessor {
             // Always close the frame to prevent memory leaks
             frame.close();
         } finally {
-            this.isProcessing = false;
+            if (claim && this.processingClaim === claim) {
+                this.isProcessing = false;
+                this.processingClaim = null;
+            }
         }
     }
 
@@ -145,9 +843,29 @@ export class FrameProcessor {
         // Clear any ongoing processing 
         this.frameProcessingCount = 0;
         this.currentTargetRow = 0;
+        this.sweepStartTimestamp = null;
         this.isComplete = false;
+        this.isFrozen = false;
+        this.isPaused = false;
+        this.releaseResumeWaiters();
+        this.sweepCount = 0;
         this.isProcessing = false;
-        this.cameraManager = null;
+        this.processingClaim = null;
+        this.isPreviewing = false;
+        this.frameSource = null;
+
+        if (this.timeWarpBuffer) {
+            this.timeWarpBuffer.cleanup();
+            this.timeWarpBuffer = null;
+        }
+
+        if (this.sliceWriter) {
+            this.sliceWriter.cleanup();
+            this.sliceWriter = null;
+        }
+
+        this.releasePreviousFrame();
+        this.captureHud.cleanup();
 
         // Cleanup animation renderer
         if (this.animationRenderer) {
@@ -185,18 +903,60 @@ export class FrameProcessor {
         return this.isComplete;
     }
 
+    /**
+     * Describe how the current capture was made (for manifests and project files)
+     * @returns {object} Capture settings
+     */
+    getCaptureSettings() {
+        return {
+            source: this.frameSource?.sourceType ?? null,
+            captureMode: this.captureMode,
+            sliceCount: this.canvasManager.canvasCount,
+            scanAxis: this.scanAxisName,
+            captureDuration: this.captureDurationName,
+            samplingMode: this.samplingModeName,
+            mappingCurve: this.mappingCurveName,
+            curveOptions: this.mappingCurveOptions,
+            width: this.canvasManager.width,
+            height: this.canvasManager.height,
+            framesProcessed: this.frameProcessingCount,
+            isComplete: this.isComplete,
+            sliceWriter: this.sliceWriterName,
+            canvasBackend: this.canvasBackend,
+            droppedFrames: this.droppedFrames.getStats(),
+            colorGrade: this.colorGrader.getSettings()
+        };
+    }
+
+    /**
+     * Timestamps of the frames each line was taken from
+     * @returns {Array<number|null>} Microseconds per line position along the scan axis (null if not written yet)
+     */
+    getLineTimestamps() {
+        return [...this.lineTimestamps];
+    }
+
     /**
      * Get processing progress information
      * @returns {object} Progress information
      */
     getProgress() {
-        const frameHeight = this.canvasManager.isInitialized ? this.canvasManager.height : 0;
+        // Rows, columns or diagonals depending on the scan axis
+        const scanLength = this.getScanLength();
+        const currentRow = this.isComplete ? scanLength : this.currentTargetRow;
         return {
-            currentRow: this.currentTargetRow,
-            totalRows: frameHeight,
+            currentRow,
+            totalRows: scanLength,
+            scanAxis: this.scanAxisName,
             framesProcessed: this.frameProcessingCount,
-            progressPercent: frameHeight > 0 ? Math.round((this.currentTargetRow / frameHeight) * 100) : 0,
-            isComplete: this.isComplete
+            progressPercent: scanLength > 0 ? Math.round((currentRow / scanLength) * 100) : 0,
+            captureMode: this.captureMode,
+            sweeps: this.sweepCount,
+            isFrozen: this.isFrozen,
+            isPaused: this.isPaused,
+            isComplete: this.isComplete,
+            droppedFrames: this.droppedFrames.getStats(),
+            sliceWriter: this.sliceWriterName
         };
     }
 }
\ No newline at end of file
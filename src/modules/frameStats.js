@@ -0,0 +1,82 @@
+// frameStats.js
+
+// Counts frames that never made it into the capture. Two kinds are tracked:
+// - busy drops: the frame arrived but slicing was still busy with earlier ones
+// - source drops: the frame never arrived at all, detected as gaps in the frame
+//   timestamps (the camera or MediaStreamTrackProcessor discarded it because
+//   the consumer fell behind)
+
+// A gap this many times the usual frame interval counts as missing frames
+const GAP_THRESHOLD = 1.5;
+
+export class DroppedFrameMeter {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Clear all counts
+     */
+    reset() {
+        this.received = 0;
+        this.busyDrops = 0;
+        this.sourceDrops = 0;
+        this.resetTiming();
+    }
+
+    /**
+     * Forget the previous timestamp (call when the source changes, so the switch isn't counted as a gap)
+     */
+    resetTiming() {
+        this.lastTimestamp = null;
+        this.frameInterval = null; // Running estimate of the normal frame interval (microseconds)
+    }
+
+    /**
+     * Record an arriving frame
+     * @param {number} timestamp - Frame timestamp in microseconds
+     */
+    recordFrame(timestamp) {
+        this.received++;
+
+        if (this.lastTimestamp !== null) {
+            const delta = timestamp - this.lastTimestamp;
+
+            if (delta > 0) {
+                if (this.frameInterval === null) {
+                    this.frameInterval = delta;
+                } else if (delta > this.frameInterval * GAP_THRESHOLD) {
+                    this.sourceDrops += Math.round(delta / this.frameInterval) - 1;
+                } else {
+                    // Follow slow changes in frame rate (e.g. auto exposure in low light)
+                    this.frameInterval += (delta - this.frameInterval) * 0.1;
+                }
+            }
+        }
+
+        this.lastTimestamp = timestamp;
+    }
+
+    /**
+     * Record a frame that arrived but was skipped because slicing was busy
+     */
+    recordBusyDrop() {
+        this.busyDrops++;
+    }
+
+    /**
+     * Summary of dropped frames
+     * @returns {{received: number, dropped: number, busyDrops: number, sourceDrops: number, droppedPercent: number}}
+     */
+    getStats() {
+        const dropped = this.busyDrops + this.sourceDrops;
+        const expected = this.received + this.sourceDrops;
+        return {
+            received: this.received,
+            dropped,
+            busyDrops: this.busyDrops,
+            sourceDrops: this.sourceDrops,
+            droppedPercent: expected > 0 ? Math.round((dropped / expected) * 100) : 0
+        };
+    }
+}
@@ -0,0 +1,276 @@
+// gallery.js
+import {
+    galleryButton,
+    gallery,
+    galleryList,
+    storageQuotaBar,
+    storageQuotaText,
+    captureOptions
+} from './domElements.js';
+import {
+    isCaptureStoreAvailable,
+    saveCapture,
+    listCaptures,
+    renameCapture,
+    deleteCapture,
+    getStorageEstimate,
+    requestPersistentStorage
+} from './captureStore.js';
+import { canEncodeWebp } from './animatedImageEncoder.js';
+
+// Width of the thumbnails shown in the gallery
+const THUMBNAIL_WIDTH = 160;
+
+// Quality used for stored slices when WebP is available (PNG otherwise)
+const SLICE_WEBP_QUALITY = 0.92;
+
+/**
+ * Human-readable byte count
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "12.4 MB"
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+export class GalleryManager {
+    /**
+     * @param {object} options
+     * @param {function(number, object): void} options.onOpen - Called with a capture id and { showExport } to open it
+     */
+    constructor({ onOpen }) {
+        this.onOpen = onOpen;
+        this.thumbnailUrls = []; // Object URLs to revoke on the next refresh
+        this.setupGallery();
+    }
+
+    /**
+     * Show the gallery button if captures can be stored
+     */
+    setupGallery() {
+        if (!galleryButton || !gallery || !isCaptureStoreAvailable()) {
+            return;
+        }
+
+        galleryButton.style.display = 'inline-block';
+        galleryButton.addEventListener('click', () => {
+            const isOpen = gallery.style.display === 'flex';
+            gallery.style.display = isOpen ? 'none' : 'flex';
+            if (captureOptions) {
+                captureOptions.style.display = isOpen ? 'flex' : 'none';
+            }
+            galleryButton.textContent = isOpen ? 'Gallery' : 'Back';
+
+            if (!isOpen) {
+                this.refresh();
+            }
+        });
+    }
+
+    /**
+     * Reload the list of captures and the storage indicator
+     */
+    async refresh() {
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls = [];
+
+        try {
+            const records = await listCaptures();
+            galleryList.replaceChildren(...records.map(record => this.renderItem(record)));
+
+            if (records.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'gallery-empty';
+                empty.textContent = 'No saved captures yet';
+                galleryList.appendChild(empty);
+            }
+        } catch (error) {
+            console.error('Could not load the gallery:', error);
+            galleryList.textContent = `Could not load the gallery: ${error.message}`;
+        }
+
+        await this.updateQuota();
+    }
+
+    /**
+     * Build the gallery entry for one capture
+     * @param {object} record - Capture metadata
+     * @returns {HTMLElement} Gallery item
+     */
+    renderItem(record) {
+        const item = document.createElement('div');
+        item.className = 'gallery-item';
+
+        const thumbnail = document.createElement('img');
+        thumbnail.alt = record.name;
+        if (record.thumbnail) {
+            const url = URL.createObjectURL(record.thumbnail);
+            this.thumbnailUrls.push(url);
+            thumbnail.src = url;
+        }
+
+        const details = document.createElement('div');
+        details.className = 'gallery-details';
+
+        const name = document.createElement('strong');
+        name.textContent = record.name;
+
+        const info = document.createElement('span');
+        const createdAt = new Date(record.createdAt).toLocaleString();
+        info.textContent = `${createdAt} · ${record.sliceCount} slices · ${record.width}x${record.height} · ${formatBytes(record.size || 0)}`;
+
+        const actions = document.createElement('div');
+        actions.className = 'gallery-actions';
+        actions.append(
+            this.createAction('Replay', () => this.onOpen(record.id, { showExport: false })),
+            this.createAction('Export', () => this.onOpen(record.id, { showExport: true })),
+            this.createAction('Rename', () => this.rename(record)),
+            this.createAction('Delete', () => this.remove(record))
+        );
+
+        details.append(name, info, actions);
+        item.append(thumbnail, details);
+        return item;
+    }
+
+    /**
+     * Create a gallery action button
+     * @param {string} label - Button text
+     * @param {function(): void} onClick - Click handler
+     * @returns {HTMLButtonElement} The button
+     */
+    createAction(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Ask for a new name and store it
+     * @param {object} record - Capture metadata
+     */
+    async rename(record) {
+        const name = prompt('Name this capture', record.name);
+        if (!name || name.trim() === record.name) {
+            return;
+        }
+
+        try {
+            await renameCapture(record.id, name.trim());
+            await this.refresh();
+        } catch (error) {
+            console.error('Rename failed:', error);
+            alert(`Could not rename the capture: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a capture after confirmation
+     * @param {object} record - Capture metadata
+     */
+    async remove(record) {
+        if (!confirm(`Delete "${record.name}"? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await deleteCapture(record.id);
+            await this.refresh();
+        } catch (error) {
+            console.error('Delete failed:', error);
+            alert(`Could not delete the capture: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show how much of the storage quota is used
+     */
+    async updateQuota() {
+        if (!storageQuotaText) {
+            return;
+        }
+
+        const estimate = await getStorageEstimate();
+        if (!estimate || !estimate.quota) {
+            storageQuotaText.textContent = 'Storage usage unavailable';
+            storageQuotaBar.style.display = 'none';
+            return;
+        }
+
+        storageQuotaBar.style.display = 'block';
+        storageQuotaBar.value = estimate.usage / estimate.quota;
+        storageQuotaText.textContent = `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used`;
+    }
+
+    /**
+     * Store the finished capture
+     * Slices are saved ungraded; the grade is kept in the settings so it can be reapplied.
+     * @param {FrameProcessor} frameProcessor - Processor holding the capture
+     * @returns {Promise<number|null>} Id of the stored capture, or null if saving failed
+     */
+    async saveCapture(frameProcessor) {
+        if (!isCaptureStoreAvailable()) {
+            return null;
+        }
+
+        const canvasManager = frameProcessor.getCanvasManager();
+        const { canvasCount, width, height } = canvasManager;
+        const imageType = canEncodeWebp() ? 'image/webp' : 'image/png';
+
+        try {
+            frameProcessor.updateDebug('Saving capture to the gallery...');
+
+            const slices = [];
+            for (let i = 0; i < canvasCount; i++) {
+                const blob = await canvasManager.getCanvasBlob(i, imageType, SLICE_WEBP_QUALITY);
+                if (!blob) {
+                    throw new Error(`Could not encode slice ${i}`);
+                }
+                slices.push(blob);
+            }
+
+            // Thumbnail from the middle slice
+            const thumbnailCanvas = new OffscreenCanvas(THUMBNAIL_WIDTH, Math.max(1, Math.round(THUMBNAIL_WIDTH * height / width)));
+            thumbnailCanvas.getContext('2d').drawImage(
+                canvasManager.getSliceSource(Math.floor(canvasCount / 2)),
+                0, 0, thumbnailCanvas.width, thumbnailCanvas.height
+            );
+            const thumbnail = await thumbnailCanvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+
+            const createdAt = new Date();
+            const id = await saveCapture({
+                name: `Capture ${createdAt.toLocaleString()}`,
+                createdAt: createdAt.toISOString(),
+                width,
+                height,
+                sliceCount: canvasCount,
+                imageType,
+                frameRate: frameProcessor.getAnimationRenderer()?.frameRate ?? null,
+                playbackMode: frameProcessor.getAnimationRenderer()?.playbackModeName ?? null,
+                settings: frameProcessor.getCaptureSettings(),
+                lineTimestamps: frameProcessor.getLineTimestamps(),
+                customLut: frameProcessor.colorGrader.customLutSource,
+                thumbnail
+            }, slices);
+
+            requestPersistentStorage();
+
+            console.log(`💾 Capture ${id} saved to the gallery (${canvasCount} ${imageType} slices)`);
+            frameProcessor.updateDebug('Capture saved to the gallery');
+            return id;
+
+        } catch (error) {
+            console.error('Saving capture failed:', error);
+            frameProcessor.updateDebug(`Could not save capture: ${error.message}`);
+            return null;
+        }
+    }
+}
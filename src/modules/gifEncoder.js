@@ -0,0 +1,153 @@
+// gifEncoder.js
+import { GIFEncoder, quantize, applyPalette, nearestColorIndex } from 'gifenc';
+
+// Size/quality presets offered for GIF export
+export const GIF_SIZE_PRESETS = {
+    small: { label: 'Small (320px, 64 colors)', maxDimension: 320, colors: 64 },
+    medium: { label: 'Medium (480px, 128 colors)', maxDimension: 480, colors: 128 },
+    large: { label: 'Large (720px, 256 colors)', maxDimension: 720, colors: 256 },
+    full: { label: 'Full size (256 colors)', maxDimension: Infinity, colors: 256 }
+};
+
+export const DEFAULT_GIF_SIZE = 'medium';
+
+// How many frames (at most) are sampled to build the shared palette
+const PALETTE_SAMPLE_FRAMES = 8;
+
+/**
+ * Build one palette for the whole animation from a sample of its frames.
+ * A shared palette avoids the color flicker that per-frame palettes cause in a loop.
+ * @param {function(number): ImageData} getFrameData - Returns the pixels of a frame
+ * @param {number} frameCount - Number of frames in the animation
+ * @param {number} colors - Palette size (2-256)
+ * @returns {number[][]} Palette as [r, g, b] entries
+ */
+function buildSharedPalette(getFrameData, frameCount, colors) {
+    const sampleCount = Math.min(PALETTE_SAMPLE_FRAMES, frameCount);
+    const samples = [];
+    let totalLength = 0;
+
+    for (let i = 0; i < sampleCount; i++) {
+        const frameIndex = Math.floor((i * frameCount) / sampleCount);
+        const { data } = getFrameData(frameIndex);
+
+        // Every 4th pixel is plenty to find the dominant colors
+        const sample = new Uint8Array(Math.ceil(data.length / 16) * 4);
+        for (let src = 0, dst = 0; src < data.length; src += 16, dst += 4) {
+            sample[dst] = data[src];
+            sample[dst + 1] = data[src + 1];
+            sample[dst + 2] = data[src + 2];
+            sample[dst + 3] = 255;
+        }
+        samples.push(sample);
+        totalLength += sample.length;
+    }
+
+    const combined = new Uint8Array(totalLength);
+    let offset = 0;
+    samples.forEach(sample => {
+        combined.set(sample, offset);
+        offset += sample.length;
+    });
+
+    return quantize(combined, colors);
+}
+
+/**
+ * Map pixels to palette indices with Floyd-Steinberg error diffusion
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {number[][]} palette - Palette as [r, g, b] entries
+ * @param {Int16Array} lookup - Cache of palette indices keyed by 15-bit color
+ * @returns {Uint8Array} Palette index per pixel
+ */
+function ditherToPalette(data, width, height, palette, lookup) {
+    const index = new Uint8Array(width * height);
+    const rgb = new Float32Array(width * height * 3);
+    for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+        rgb[j] = data[i];
+        rgb[j + 1] = data[i + 1];
+        rgb[j + 2] = data[i + 2];
+    }
+
+    const spread = (pixel, er, eg, eb, factor) => {
+        const p = pixel * 3;
+        rgb[p] += er * factor;
+        rgb[p + 1] += eg * factor;
+        rgb[p + 2] += eb * factor;
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const pixel = y * width + x;
+            const p = pixel * 3;
+            const r = Math.min(255, Math.max(0, rgb[p]));
+            const g = Math.min(255, Math.max(0, rgb[p + 1]));
+            const b = Math.min(255, Math.max(0, rgb[p + 2]));
+
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            let paletteIndex = lookup[key];
+            if (paletteIndex < 0) {
+                paletteIndex = nearestColorIndex(palette, [r, g, b]);
+                lookup[key] = paletteIndex;
+            }
+            index[pixel] = paletteIndex;
+
+            const [pr, pg, pb] = palette[paletteIndex];
+            const er = r - pr;
+            const eg = g - pg;
+            const eb = b - pb;
+
+            if (x + 1 < width) spread(pixel + 1, er, eg, eb, 7 / 16);
+            if (y + 1 < height) {
+                if (x > 0) spread(pixel + width - 1, er, eg, eb, 3 / 16);
+                spread(pixel + width, er, eg, eb, 5 / 16);
+                if (x + 1 < width) spread(pixel + width + 1, er, eg, eb, 1 / 16);
+            }
+        }
+    }
+
+    return index;
+}
+
+/**
+ * Encode an animated, endlessly looping GIF
+ * @param {object} options
+ * @param {number} options.frameCount - Number of frames to encode
+ * @param {number} options.width - Frame width
+ * @param {number} options.height - Frame height
+ * @param {function(number): ImageData} options.getFrameData - Returns the pixels of frame i
+ * @param {number} options.delay - Delay per frame in milliseconds
+ * @param {number} options.colors - Palette size (2-256)
+ * @param {boolean} options.dither - Apply Floyd-Steinberg dithering
+ * @param {function(number): void} options.onProgress - Called with progress (0-1)
+ * @returns {Promise<Uint8Array>} The GIF file bytes
+ */
+export async function encodeGif({ frameCount, width, height, getFrameData, delay, colors = 256, dither = false, onProgress = () => { } }) {
+    const palette = buildSharedPalette(getFrameData, frameCount, colors);
+    const lookup = new Int16Array(32768).fill(-1);
+    const gif = GIFEncoder();
+
+    for (let i = 0; i < frameCount; i++) {
+        const { data } = getFrameData(i);
+        const index = dither ?
+            ditherToPalette(data, width, height, palette, lookup) :
+            applyPalette(data, palette);
+
+        // The palette passed with the first frame becomes the global color table
+        gif.writeFrame(index, width, height, {
+            palette: i === 0 ? palette : undefined,
+            delay,
+            repeat: 0
+        });
+
+        onProgress((i + 1) / frameCount);
+
+        // Yield so the UI can repaint progress between frames
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    gif.finish();
+    return gif.bytes();
+}
@@ -0,0 +1,105 @@
+// mappingCurves.js
+
+// A mapping curve decides which source row feeds each time slice.
+// Every curve takes the normalized slice position t (0 = first slice, 1 = last slice)
+// and returns a normalized source position (0 = first row, 1 = last row).
+
+/**
+ * Linearly interpolate between evenly spaced control values
+ * @param {number} t - Normalized position (0-1)
+ * @param {number[]} points - Control values (0-1), evenly spaced across t
+ * @returns {number} Interpolated value
+ */
+function interpolatePoints(t, points) {
+    if (!points || points.length === 0) {
+        return t;
+    }
+    if (points.length === 1) {
+        return points[0];
+    }
+
+    const scaled = t * (points.length - 1);
+    const index = Math.min(Math.floor(scaled), points.length - 2);
+    const fraction = scaled - index;
+    return points[index] + (points[index + 1] - points[index]) * fraction;
+}
+
+/**
+ * Registry of named mapping curves
+ * `defaults` lists the options a curve understands, with their default values.
+ */
+export const MAPPING_CURVES = {
+    linear: {
+        label: 'Linear sweep',
+        defaults: {},
+        fn: (t) => t
+    },
+    cosine: {
+        // The original timespy look: a gentle sway with more samples near the edges
+        label: 'Cosine sway',
+        defaults: {},
+        fn: (t) => (Math.cos(t * Math.PI) + 1) / 2
+    },
+    sine: {
+        label: 'Sine waves',
+        defaults: { cycles: 2 },
+        fn: (t, { cycles }) => (Math.sin(t * cycles * 2 * Math.PI - Math.PI / 2) + 1) / 2
+    },
+    sawtooth: {
+        label: 'Sawtooth',
+        defaults: { cycles: 2 },
+        fn: (t, { cycles }) => {
+            const value = t * cycles;
+            // Let the final slice land on the last row instead of wrapping back to 0
+            return t >= 1 ? 1 : value - Math.floor(value);
+        }
+    },
+    easeInOut: {
+        label: 'Ease in/out',
+        defaults: {},
+        fn: (t) => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2
+    },
+    custom: {
+        label: 'Custom curve',
+        defaults: { points: [0, 1] },
+        fn: (t, { points }) => interpolatePoints(t, points)
+    }
+};
+
+export const DEFAULT_MAPPING_CURVE = 'cosine';
+
+/**
+ * Build a mapping function for a named curve
+ * @param {string} name - Key in MAPPING_CURVES
+ * @param {object} options - Curve options (merged over the curve defaults)
+ * @returns {function(number): number} Function mapping slice position (0-1) to source position (0-1)
+ */
+export function getMappingCurve(name, options = {}) {
+    let curve = MAPPING_CURVES[name];
+    if (!curve) {
+        console.warn(`Unknown mapping curve "${name}", falling back to ${DEFAULT_MAPPING_CURVE}`);
+        curve = MAPPING_CURVES[DEFAULT_MAPPING_CURVE];
+    }
+
+    const settings = { ...curve.defaults, ...options };
+
+    return (t) => {
+        const value = curve.fn(t, settings);
+        // Clamp so that user-defined curves can never address rows outside the frame
+        return Math.min(1, Math.max(0, Number.isFinite(value) ? value : 0));
+    };
+}
+
+/**
+ * Parse a comma or space separated list of control values (e.g. "0, 1, 0.5")
+ * @param {string} text - Control values between 0 and 1
+ * @returns {number[]} Parsed control values, clamped to 0-1
+ */
+export function parseControlPoints(text) {
+    return String(text)
+        .split(/[\s,]+/)
+        .filter(part => part.length > 0)
+        .map(Number)
+        .filter(Number.isFinite)
+        .map(value => Math.min(1, Math.max(0, value)));
+}
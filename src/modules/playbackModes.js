@@ -0,0 +1,89 @@
+// playbackModes.js
+
+// How the animation walks through the slices over time.
+// Each mode maps a playback position (slices advanced since playback started, which
+// grows with elapsed time × frame rate and may be fractional) to the slice to show,
+// and back again so playback can resume from a slice picked by hand.
+// cycleLength is the number of positions before a looping mode repeats, which is
+// also how exports turn a mode into a fixed frame sequence.
+
+const TWO_PI = 2 * Math.PI;
+
+/**
+ * Length of one there-and-back cycle
+ * @param {number} count - Number of slices
+ * @returns {number} Positions per cycle (at least 1)
+ */
+function pingPongPeriod(count) {
+    return Math.max(1, 2 * (count - 1));
+}
+
+export const PLAYBACK_MODES = {
+    'ping-pong': {
+        label: 'Ping-pong',
+        frameAt: (position, count) => {
+            const period = pingPongPeriod(count);
+            const step = Math.floor(position) % period;
+            return step < count ? step : period - step;
+        },
+        positionOf: (index) => index,
+        cycleLength: pingPongPeriod,
+        loops: true,
+        isFinished: () => false
+    },
+    forward: {
+        label: 'Loop forward',
+        frameAt: (position, count) => Math.floor(position) % count,
+        positionOf: (index) => index,
+        cycleLength: (count) => count,
+        loops: true,
+        isFinished: () => false
+    },
+    reverse: {
+        label: 'Loop reverse',
+        frameAt: (position, count) => count - 1 - (Math.floor(position) % count),
+        positionOf: (index, count) => count - 1 - index,
+        cycleLength: (count) => count,
+        loops: true,
+        isFinished: () => false
+    },
+    once: {
+        label: 'Play once',
+        frameAt: (position, count) => Math.min(count - 1, Math.floor(position)),
+        positionOf: (index) => index,
+        cycleLength: (count) => count,
+        loops: false,
+        isFinished: (position, count) => position >= count - 1
+    },
+    eased: {
+        label: 'Eased ping-pong',
+        // A cosine wave over one cycle: fast through the middle, slowing to a stop at each end
+        frameAt: (position, count) => {
+            const phase = (position % pingPongPeriod(count)) / pingPongPeriod(count);
+            return Math.round(((1 - Math.cos(TWO_PI * phase)) / 2) * (count - 1));
+        },
+        positionOf: (index, count) => {
+            const level = count > 1 ? index / (count - 1) : 0;
+            return (Math.acos(1 - 2 * level) / TWO_PI) * pingPongPeriod(count);
+        },
+        cycleLength: pingPongPeriod,
+        loops: true,
+        isFinished: () => false
+    }
+};
+
+export const DEFAULT_PLAYBACK_MODE = 'ping-pong';
+
+/**
+ * Look up a playback mode by name
+ * @param {string} name - Key in PLAYBACK_MODES
+ * @returns {object} The playback mode
+ */
+export function getPlaybackMode(name) {
+    const mode = PLAYBACK_MODES[name];
+    if (!mode) {
+        console.warn(`Unknown playback mode "${name}", falling back to ${DEFAULT_PLAYBACK_MODE}`);
+        return PLAYBACK_MODES[DEFAULT_PLAYBACK_MODE];
+    }
+    return mode;
+}
@@ -0,0 +1,69 @@
+// playerControls.js
+import {
+    playerControls,
+    playPauseButton,
+    stepBackButton,
+    stepForwardButton,
+    playbackModeSelect,
+    playbackFpsInput,
+    playbackFpsValue
+} from './domElements.js';
+import { PLAYBACK_MODES } from './playbackModes.js';
+
+/**
+ * Wire up play/pause, single-slice stepping, playback mode and frame rate.
+ * The renderer is looked up on every use, since FrameProcessor replaces it when dimensions change.
+ * @param {FrameProcessor} frameProcessor - Processor owning the AnimationRenderer
+ */
+export function setupPlayerControls(frameProcessor) {
+    if (!playerControls) {
+        return;
+    }
+
+    const getRenderer = () => frameProcessor.getAnimationRenderer();
+
+    const updatePlayButton = (isPlaying) => {
+        playPauseButton.title = isPlaying ? 'Pause' : 'Play';
+        playPauseButton.querySelector('.material-symbols-outlined').textContent = isPlaying ? 'pause' : 'play_arrow';
+    };
+
+    // Reflect the renderer's state, including playback stopping on its own
+    const attachRenderer = (renderer) => {
+        if (!renderer) {
+            return;
+        }
+        renderer.onPlaybackChange = updatePlayButton;
+        updatePlayButton(renderer.isPlaying);
+        playbackModeSelect.value = renderer.playbackModeName;
+        playbackFpsInput.value = String(renderer.frameRate);
+        playbackFpsValue.textContent = `${renderer.frameRate} fps`;
+    };
+
+    if (playbackModeSelect.options.length === 0) {
+        Object.entries(PLAYBACK_MODES).forEach(([name, mode]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = mode.label;
+            playbackModeSelect.appendChild(option);
+        });
+    }
+
+    playPauseButton.addEventListener('click', () => getRenderer()?.togglePlaying());
+    stepBackButton.addEventListener('click', () => getRenderer()?.step(-1));
+    stepForwardButton.addEventListener('click', () => getRenderer()?.step(1));
+
+    playbackModeSelect.addEventListener('change', () => {
+        getRenderer()?.setPlaybackMode(playbackModeSelect.value);
+    });
+
+    playbackFpsInput.addEventListener('input', () => {
+        const fps = parseInt(playbackFpsInput.value, 10);
+        playbackFpsValue.textContent = `${fps} fps`;
+        getRenderer()?.setFrameRate(fps);
+    });
+
+    frameProcessor.onRendererChange = attachRenderer;
+    attachRenderer(getRenderer());
+
+    playerControls.style.display = 'flex';
+}
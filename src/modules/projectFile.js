@@ -0,0 +1,139 @@
+// projectFile.js
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { MIN_SLICE_COUNT, MAX_SLICE_COUNT } from './canvasManager.js';
+
+// .timespy project files: a ZIP holding manifest.json plus one lossless PNG per slice.
+// The manifest records everything needed to restore the capture exactly and to
+// re-export it later: slice size and count, source, scan axis, mapping curve,
+// frame rate, playback mode, color grade and the timestamp of the frame behind every line.
+// An imported LUT is stored alongside as its original .cube file.
+
+export const PROJECT_EXTENSION = 'timespy';
+export const PROJECT_MIME_TYPE = 'application/x-timespy+zip';
+const PROJECT_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const LUT_NAME = 'grade/custom.cube';
+
+/**
+ * Build a project file from the current capture
+ * Slices are stored ungraded; the grade is part of the settings.
+ * @param {object} options
+ * @param {FrameProcessor} options.frameProcessor - Processor holding the capture
+ * @param {number} options.frameRate - Playback rate of the animation
+ * @param {function(number): void} options.onProgress - Called with progress (0-1)
+ * @returns {Promise<Uint8Array>} The project file bytes
+ */
+export async function createProject({ frameProcessor, frameRate, onProgress = () => { } }) {
+    const canvasManager = frameProcessor.getCanvasManager();
+    const { canvasCount, width, height } = canvasManager;
+    const digits = Math.max(3, String(canvasCount - 1).length);
+    const settings = frameProcessor.getCaptureSettings();
+    const files = {};
+    const slices = [];
+
+    for (let i = 0; i < canvasCount; i++) {
+        const blob = await canvasManager.getCanvasBlob(i, 'image/png');
+        if (!blob) {
+            throw new Error(`Could not encode slice ${i}`);
+        }
+
+        const name = `slices/slice-${String(i).padStart(digits, '0')}.png`;
+        // PNGs are already compressed, so store them without deflating again
+        files[name] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+        slices.push(name);
+
+        onProgress((i + 1) / canvasCount);
+    }
+
+    const manifest = {
+        app: 'timespy',
+        type: 'project',
+        version: PROJECT_VERSION,
+        createdAt: new Date().toISOString(),
+        width,
+        height,
+        sliceCount: canvasCount,
+        frameRate,
+        playbackMode: frameProcessor.getAnimationRenderer()?.playbackModeName ?? null,
+        source: {
+            type: settings.source,
+            width,
+            height
+        },
+        settings,
+        timestampUnit: 'microseconds',
+        lineTimestamps: frameProcessor.getLineTimestamps(),
+        slices
+    };
+
+    const lutSource = frameProcessor.colorGrader.customLutSource;
+    if (lutSource) {
+        files[LUT_NAME] = strToU8(lutSource);
+        manifest.lutFile = LUT_NAME;
+    }
+
+    files[MANIFEST_NAME] = strToU8(JSON.stringify(manifest, null, 2));
+
+    return zipSync(files);
+}
+
+/**
+ * Read a project file
+ * @param {File|Blob} file - The .timespy file
+ * @returns {Promise<{manifest: object, images: ImageBitmap[], customLut: string|null}>} Manifest, decoded slices (caller closes the images) and the .cube text of an imported LUT
+ */
+export async function readProject(file) {
+    let entries;
+    try {
+        entries = unzipSync(new Uint8Array(await file.arrayBuffer()));
+    } catch (error) {
+        throw new Error('Not a timespy project (the file is not a ZIP archive)');
+    }
+
+    if (!entries[MANIFEST_NAME]) {
+        throw new Error('Not a timespy project (manifest.json is missing)');
+    }
+
+    const manifest = JSON.parse(strFromU8(entries[MANIFEST_NAME]));
+    if (manifest.app !== 'timespy' || manifest.type !== 'project') {
+        throw new Error('Not a timespy project');
+    }
+    if (manifest.version > PROJECT_VERSION) {
+        throw new Error(`This project was saved by a newer version of timespy (format ${manifest.version})`);
+    }
+
+    const { width, height, slices } = manifest;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error('The project has no valid slice size');
+    }
+    if (!Array.isArray(slices) || slices.length < MIN_SLICE_COUNT || slices.length > MAX_SLICE_COUNT) {
+        throw new Error(`A project needs between ${MIN_SLICE_COUNT} and ${MAX_SLICE_COUNT} slices`);
+    }
+    if (manifest.sliceCount !== undefined && manifest.sliceCount !== slices.length) {
+        throw new Error(`The project lists ${slices.length} slices but says it has ${manifest.sliceCount}`);
+    }
+
+    const images = await Promise.all(slices.map(name => {
+        if (!entries[name]) {
+            throw new Error(`Slice ${name} is missing from the project`);
+        }
+        return createImageBitmap(new Blob([entries[name]], { type: 'image/png' }));
+    }));
+
+    const mismatch = images.findIndex(image => image.width !== width || image.height !== height);
+    if (mismatch >= 0) {
+        const { width: sliceWidth, height: sliceHeight } = images[mismatch];
+        images.forEach(image => image.close());
+        throw new Error(`Slice ${slices[mismatch]} is ${sliceWidth}x${sliceHeight}, but the project is ${width}x${height}`);
+    }
+
+    let customLut = null;
+    if (manifest.lutFile) {
+        if (!entries[manifest.lutFile]) {
+            throw new Error(`LUT ${manifest.lutFile} is missing from the project`);
+        }
+        customLut = strFromU8(entries[manifest.lutFile]);
+    }
+
+    return { manifest, images, customLut };
+}
@@ -0,0 +1,40 @@
+// samplingModes.js
+
+// How source lines are turned into target lines.
+// 'fast' copies the nearest whole source line from the current frame, as capture
+// always has. 'smooth' samples between the two nearest source lines (so slices don't
+// band where the mapping curve lands between lines) and blends each target line with
+// the previous frame. When the sweep is paced by duration, the two frames around the
+// moment a line was due are weighted by how close each is, so slow sweeps show
+// gradients where they used to show steps; when pacing by frame, each line stands for
+// the interval since the previous frame and mixes the two evenly.
+// Smooth sampling draws up to four times per line and slice.
+
+export const SAMPLING_MODES = {
+    fast: {
+        label: 'Fast (nearest line)',
+        subPixel: false,
+        temporal: false
+    },
+    smooth: {
+        label: 'Smooth (sub-pixel, blended in time)',
+        subPixel: true,
+        temporal: true
+    }
+};
+
+export const DEFAULT_SAMPLING_MODE = 'fast';
+
+/**
+ * Look up a sampling mode by name
+ * @param {string} name - Key in SAMPLING_MODES
+ * @returns {{label: string, subPixel: boolean, temporal: boolean}} The sampling mode
+ */
+export function getSamplingMode(name) {
+    const mode = SAMPLING_MODES[name];
+    if (!mode) {
+        console.warn(`Unknown sampling mode "${name}", falling back to ${DEFAULT_SAMPLING_MODE}`);
+        return SAMPLING_MODES[DEFAULT_SAMPLING_MODE];
+    }
+    return mode;
+}
@@ -0,0 +1,103 @@
+// scanAxes.js
+
+// A scan axis describes how the capture sweeps across the canvases.
+// Positions along an axis are counted in lines: rows for 'row', columns for 'column',
+// and anti-diagonals (x + y = position) for 'diagonal'.
+
+export const SCAN_AXES = {
+    'top-to-bottom': {
+        label: 'Rows, top to bottom',
+        orientation: 'row',
+        reversed: false
+    },
+    'bottom-to-top': {
+        label: 'Rows, bottom to top',
+        orientation: 'row',
+        reversed: true
+    },
+    'left-to-right': {
+        label: 'Columns, left to right',
+        orientation: 'column',
+        reversed: false
+    },
+    'right-to-left': {
+        label: 'Columns, right to left',
+        orientation: 'column',
+        reversed: true
+    },
+    'diagonal': {
+        label: 'Diagonal, top-left to bottom-right',
+        orientation: 'diagonal',
+        reversed: false
+    }
+};
+
+export const DEFAULT_SCAN_AXIS = 'top-to-bottom';
+
+/**
+ * Look up a scan axis by name
+ * @param {string} name - Key in SCAN_AXES
+ * @returns {{label: string, orientation: string, reversed: boolean}} The scan axis
+ */
+export function getScanAxis(name) {
+    const axis = SCAN_AXES[name];
+    if (!axis) {
+        console.warn(`Unknown scan axis "${name}", falling back to ${DEFAULT_SCAN_AXIS}`);
+        return SCAN_AXES[DEFAULT_SCAN_AXIS];
+    }
+    return axis;
+}
+
+/**
+ * Number of lines a sweep along the axis has to cover
+ * @param {object} axis - Scan axis from SCAN_AXES
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} Number of lines along the axis
+ */
+export function getScanLength(axis, width, height) {
+    switch (axis.orientation) {
+        case 'column':
+            return width;
+        case 'diagonal':
+            return Math.max(0, width + height - 1);
+        default:
+            return height;
+    }
+}
+
+/**
+ * Convert a sweep step (0 = first line written) into a line position on the axis
+ * @param {object} axis - Scan axis from SCAN_AXES
+ * @param {number} step - How many lines have been written so far
+ * @param {number} length - Total number of lines along the axis
+ * @returns {number} Line position in image coordinates
+ */
+export function getScanPosition(axis, step, length) {
+    return axis.reversed ? length - 1 - step : step;
+}
+
+/**
+ * Bounding rectangle of the pixels a line along the axis covers
+ * @param {object} axis - Scan axis from SCAN_AXES
+ * @param {number} line - Line position in image coordinates
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{x: number, y: number, width: number, height: number}} Rectangle in image coordinates
+ */
+export function getLineRect(axis, line, width, height) {
+    switch (axis.orientation) {
+        case 'column':
+            return { x: line, y: 0, width: 1, height };
+        case 'diagonal': {
+            // Pixels where x + y = line, plus the anti-aliased edge at x + y = line - 1
+            const x0 = Math.max(0, line - height);
+            const x1 = Math.min(width - 1, line);
+            const y0 = Math.max(0, line - width);
+            const y1 = Math.min(height - 1, line);
+            return { x: x0, y: y0, width: x1 - x0 + 1, height: y1 - y0 + 1 };
+        }
+        default:
+            return { x: 0, y: line, width, height: 1 };
+    }
+}
@@ -0,0 +1,259 @@
+// scrubbing.js
+import { app, tiltButton } from './domElements.js';
+
+// Lets the viewer drive the slice index directly instead of watching autoplay:
+// drag sideways or scroll to move through time, or tilt the phone to flip through
+// slices like a lenticular print. Autoplay pauses while the viewer is interacting
+// and picks up again shortly after they stop (unless it was paused to begin with).
+
+// Resume autoplay this long after the last drag, scroll or tilt
+const RESUME_DELAY_MS = 1500;
+
+// Scroll distance (pixels) per slice
+const WHEEL_PIXELS_PER_SLICE = 40;
+
+// Tilting this many degrees either side of the starting angle reaches the first or last slice
+const TILT_RANGE_DEGREES = 30;
+
+export class Scrubber {
+    /**
+     * @param {FrameProcessor} frameProcessor - Processor owning the AnimationRenderer
+     */
+    constructor(frameProcessor) {
+        this.frameProcessor = frameProcessor;
+        this.isInteracting = false;
+        this.wasPlaying = false; // Autoplay state to restore when interaction ends
+        this.resumeTimer = null;
+        this.drag = null; // { pointerId, startX, startIndex } while dragging
+        this.wheelDelta = 0;
+        this.isTiltActive = false;
+        this.tiltOrigin = null; // Angle the device was held at when tilt was turned on
+
+        this.handleOrientation = this.handleOrientation.bind(this);
+        this.setupListeners();
+    }
+
+    /**
+     * Current renderer (FrameProcessor replaces it when dimensions change)
+     * @returns {AnimationRenderer|null} The renderer
+     */
+    getRenderer() {
+        return this.frameProcessor.getAnimationRenderer();
+    }
+
+    setupListeners() {
+        if (!app) {
+            return;
+        }
+
+        app.addEventListener('pointerdown', (event) => this.startDrag(event));
+        app.addEventListener('pointermove', (event) => this.moveDrag(event));
+        app.addEventListener('pointerup', (event) => this.endDrag(event));
+        app.addEventListener('pointercancel', (event) => this.endDrag(event));
+        app.addEventListener('wheel', (event) => this.handleWheel(event), { passive: false });
+
+        if (tiltButton && typeof DeviceOrientationEvent !== 'undefined') {
+            tiltButton.style.display = 'flex';
+            tiltButton.addEventListener('click', () => this.toggleTilt());
+        }
+    }
+
+    /**
+     * Whether an event landed on the capture itself rather than on a control
+     * @param {Event} event - Pointer or wheel event
+     * @returns {boolean} True if the event targets a slice canvas (not the crop preview in the export panel)
+     */
+    isOnCapture(event) {
+        return event.target instanceof HTMLCanvasElement && !event.target.closest('.export-panel');
+    }
+
+    /**
+     * Pause autoplay for the duration of an interaction
+     */
+    beginInteraction() {
+        const renderer = this.getRenderer();
+        if (!renderer) {
+            return false;
+        }
+
+        clearTimeout(this.resumeTimer);
+        if (!this.isInteracting) {
+            this.isInteracting = true;
+            this.wasPlaying = renderer.isPlaying;
+            renderer.setPlaying(false);
+        }
+        return true;
+    }
+
+    /**
+     * Resume autoplay after a short delay, if it was playing before
+     */
+    endInteraction() {
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => {
+            this.isInteracting = false;
+            if (this.wasPlaying && !this.isTiltActive) {
+                this.getRenderer()?.setPlaying(true);
+            }
+        }, RESUME_DELAY_MS);
+    }
+
+    /**
+     * Show a slice, clamped to the capture
+     * @param {number} index - Slice to show
+     */
+    showSlice(index) {
+        const renderer = this.getRenderer();
+        if (!renderer) {
+            return;
+        }
+        const count = renderer.canvasManager.canvasCount;
+        const clamped = Math.min(count - 1, Math.max(0, Math.round(index)));
+        if (clamped !== renderer.currentFrameIndex) {
+            renderer.renderSpecificFrame(clamped);
+        }
+    }
+
+    /**
+     * @param {PointerEvent} event - Pointer down on the capture
+     */
+    startDrag(event) {
+        if (!this.isOnCapture(event) || this.drag || !this.beginInteraction()) {
+            return;
+        }
+        this.drag = {
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startIndex: this.getRenderer().currentFrameIndex
+        };
+        app.setPointerCapture(event.pointerId);
+    }
+
+    /**
+     * Dragging across the full width moves through every slice
+     * @param {PointerEvent} event - Pointer move
+     */
+    moveDrag(event) {
+        if (!this.drag || event.pointerId !== this.drag.pointerId) {
+            return;
+        }
+        const renderer = this.getRenderer();
+        if (!renderer) {
+            return;
+        }
+        const count = renderer.canvasManager.canvasCount;
+        const offset = ((event.clientX - this.drag.startX) / app.clientWidth) * count;
+        this.showSlice(this.drag.startIndex + offset);
+    }
+
+    /**
+     * @param {PointerEvent} event - Pointer up or cancel
+     */
+    endDrag(event) {
+        if (!this.drag || event.pointerId !== this.drag.pointerId) {
+            return;
+        }
+        this.drag = null;
+        if (app.hasPointerCapture(event.pointerId)) {
+            app.releasePointerCapture(event.pointerId);
+        }
+        this.endInteraction();
+    }
+
+    /**
+     * Scroll (either direction) steps through slices
+     * @param {WheelEvent} event - Wheel event
+     */
+    handleWheel(event) {
+        if (!this.isOnCapture(event) || !this.beginInteraction()) {
+            return;
+        }
+        event.preventDefault();
+
+        // Trackpads scroll sideways as readily as down
+        const delta = Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY;
+        this.wheelDelta += event.deltaMode === WheelEvent.DOM_DELTA_PIXEL ? delta : delta * WHEEL_PIXELS_PER_SLICE;
+
+        const slices = Math.trunc(this.wheelDelta / WHEEL_PIXELS_PER_SLICE);
+        if (slices !== 0) {
+            this.wheelDelta -= slices * WHEEL_PIXELS_PER_SLICE;
+            this.showSlice(this.getRenderer().currentFrameIndex + slices);
+        }
+
+        this.endInteraction();
+    }
+
+    /**
+     * Turn tilt scrubbing on or off (asks for motion permission where the browser requires it)
+     */
+    async toggleTilt() {
+        if (this.isTiltActive) {
+            this.stopTilt();
+            return;
+        }
+
+        try {
+            if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+                const permission = await DeviceOrientationEvent.requestPermission();
+                if (permission !== 'granted') {
+                    throw new Error('Motion access was not allowed');
+                }
+            }
+        } catch (error) {
+            console.error('Tilt scrubbing unavailable:', error);
+            alert(`Tilt needs access to motion sensors: ${error.message}`);
+            return;
+        }
+
+        if (!this.beginInteraction()) {
+            return;
+        }
+        this.isTiltActive = true;
+        this.tiltOrigin = null;
+        window.addEventListener('deviceorientation', this.handleOrientation);
+        tiltButton.classList.add('active');
+        console.log('📱 Tilt scrubbing on');
+    }
+
+    /**
+     * Turn tilt scrubbing off (e.g. when the capture is restarted)
+     */
+    stopTilt() {
+        if (!this.isTiltActive) {
+            return;
+        }
+        this.isTiltActive = false;
+        window.removeEventListener('deviceorientation', this.handleOrientation);
+        tiltButton.classList.remove('active');
+        this.endInteraction();
+        console.log('📱 Tilt scrubbing off');
+    }
+
+    /**
+     * Map left-right tilt to a slice, relative to how the device was held when tilt was turned on
+     * @param {DeviceOrientationEvent} event - Orientation reading
+     */
+    handleOrientation(event) {
+        const renderer = this.getRenderer();
+        if (!renderer || event.gamma === null || event.beta === null) {
+            return;
+        }
+
+        // Left-right tilt is gamma in portrait and beta in landscape
+        const angle = screen.orientation?.angle ?? 0;
+        let tilt = event.gamma;
+        if (angle === 90) {
+            tilt = event.beta;
+        } else if (angle === 270 || angle === -90) {
+            tilt = -event.beta;
+        }
+
+        if (this.tiltOrigin === null) {
+            this.tiltOrigin = tilt;
+        }
+
+        const count = renderer.canvasManager.canvasCount;
+        const offset = Math.min(1, Math.max(-1, (tilt - this.tiltOrigin) / TILT_RANGE_DEGREES));
+        this.showSlice(((offset + 1) / 2) * (count - 1));
+    }
+}
@@ -0,0 +1,245 @@
+// singleCanvasManager.js
+import { CanvasManager, DEFAULT_SLICE_COUNT } from './canvasManager.js';
+import { getLineRect } from './scanAxes.js';
+
+// Keeps every slice as plain pixel data (ImageData) instead of a canvas, and shows the
+// current one on a single display canvas of its own. The slices hold no GPU surfaces and
+// add no compositor layers; writes go through one scratch canvas, a line at a time.
+
+export class SingleCanvasManager extends CanvasManager {
+    constructor(canvasCount = DEFAULT_SLICE_COUNT) {
+        super(canvasCount);
+        this.slices = []; // One ImageData per slice
+        this.scratchCanvas = null;
+        this.scratchContext = null;
+        this.displayCanvas = null;
+        this.displayContext = null;
+    }
+
+    /**
+     * Initialize the slice pixel data and the display canvas
+     * @param {number} width - Width of the video
+     * @param {number} height - Height of the video
+     */
+    initialize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.cleanup();
+
+        for (let i = 0; i < this.canvasCount; i++) {
+            this.slices.push(new ImageData(width, height));
+        }
+
+        this.scratchCanvas = new OffscreenCanvas(width, height);
+        this.scratchContext = this.scratchCanvas.getContext('2d', {
+            alpha: false,
+            willReadFrequently: true // Every write is read back into the slice
+        });
+
+        const { canvas, ctx } = this.createPageCanvas('timespy-display-canvas');
+        this.displayCanvas = canvas;
+        this.displayContext = ctx;
+
+        this.isInitialized = true;
+        console.log(`SingleCanvasManager initialized with ${this.canvasCount} slices (${width}x${height})`);
+    }
+
+    /**
+     * Slices have no canvas of their own
+     * @returns {null}
+     */
+    getCanvas() {
+        return null;
+    }
+
+    /**
+     * The line writers draw onto the scratch canvas; writeFrameLines moves the pixels
+     * in and out of the slice around each write
+     * @param {number} index - Slice index (0 to canvasCount - 1)
+     * @returns {OffscreenCanvasRenderingContext2D|null} The scratch context
+     */
+    getContext(index) {
+        if (!this.isInitialized || index < 0 || index >= this.canvasCount) {
+            console.warn(`Invalid canvas index: ${index}`);
+            return null;
+        }
+        return this.scratchContext;
+    }
+
+    /**
+     * Copy a slice onto the scratch canvas and return it
+     * @param {number} index - Slice index (0 to canvasCount - 1)
+     * @returns {OffscreenCanvas|null} The scratch canvas, valid until the next slice access
+     */
+    getSliceSource(index) {
+        if (!this.getContext(index)) return null;
+        this.scratchContext.putImageData(this.slices[index], 0, 0);
+        return this.scratchCanvas;
+    }
+
+    /**
+     * Replace a slice with an image, scaled to the slice size
+     * @param {number} index - Slice index (0 to canvasCount - 1)
+     * @param {CanvasImageSource} image - Image to draw
+     */
+    drawSliceImage(index, image) {
+        if (!this.getContext(index)) return;
+        this.scratchContext.drawImage(image, 0, 0, this.width, this.height);
+        this.slices[index] = this.scratchContext.getImageData(0, 0, this.width, this.height);
+    }
+
+    /**
+     * Draw an image into part of a slice at its natural size
+     * @param {number} index - Slice index (0 to canvasCount - 1)
+     * @param {CanvasImageSource} image - Image to draw
+     * @param {number} x - Left edge in the slice
+     * @param {number} y - Top edge in the slice
+     */
+    drawSliceRegion(index, image, x, y) {
+        if (!this.getContext(index)) return;
+        this.scratchContext.drawImage(image, x, y);
+        this.storeRegion(index, { x, y, width: image.width, height: image.height });
+    }
+
+    /**
+     * Read a region of the scratch canvas back into a slice
+     * @param {number} index - Slice index
+     * @param {{x: number, y: number, width: number, height: number}} rect - Region in slice coordinates
+     */
+    storeRegion(index, rect) {
+        const x = Math.max(0, rect.x);
+        const y = Math.max(0, rect.y);
+        const width = Math.min(this.width, rect.x + rect.width) - x;
+        const height = Math.min(this.height, rect.y + rect.height) - y;
+        if (width <= 0 || height <= 0) return;
+
+        const region = this.scratchContext.getImageData(x, y, width, height).data;
+        const target = this.slices[index].data;
+        const rowBytes = width * 4;
+        for (let row = 0; row < height; row++) {
+            const start = row * rowBytes;
+            target.set(region.subarray(start, start + rowBytes), ((y + row) * this.width + x) * 4);
+        }
+    }
+
+    /**
+     * Write one source line per slice to each of the target lines.
+     * Only the rectangle covering the target lines is moved through the scratch canvas.
+     * @param {VideoFrame} frame - Source video frame
+     * @param {object} axis - Scan axis from SCAN_AXES
+     * @param {Int32Array|Float32Array} sourceLines - Source line for each slice (fractional with blend)
+     * @param {Int32Array} targetLines - Line positions written in every slice
+     * @param {object|null} blend - Smooth sampling: { previousFrame, previousWeights } (one weight per target line)
+     */
+    writeFrameLines(frame, axis, sourceLines, targetLines, blend = null) {
+        if (!this.isInitialized || targetLines.length === 0) return;
+
+        let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+        for (let t = 0; t < targetLines.length; t++) {
+            const rect = getLineRect(axis, targetLines[t], this.width, this.height);
+            left = Math.min(left, rect.x);
+            top = Math.min(top, rect.y);
+            right = Math.max(right, rect.x + rect.width);
+            bottom = Math.max(bottom, rect.y + rect.height);
+        }
+        const rect = { x: left, y: top, width: right - left, height: bottom - top };
+
+        for (let i = 0; i < sourceLines.length; i++) {
+            // Blended writes mix with what is already there, so bring the slice's pixels in first
+            this.scratchContext.putImageData(this.slices[i], 0, 0, rect.x, rect.y, rect.width, rect.height);
+            for (let t = 0; t < targetLines.length; t++) {
+                if (blend) {
+                    this.writeFrameLineSmooth(i, frame, axis, sourceLines[i], targetLines[t], blend.previousFrame, blend.previousWeights[t]);
+                } else {
+                    this.writeFrameLine(i, frame, axis, sourceLines[i], targetLines[t]);
+                }
+            }
+            this.storeRegion(i, rect);
+        }
+    }
+
+    /**
+     * Clear a slice to black
+     * @param {number} index - Slice index to clear
+     */
+    clearCanvas(index) {
+        if (this.getContext(index)) {
+            this.slices[index].data.fill(0);
+        }
+    }
+
+    /**
+     * Encode a slice as an image blob
+     * @param {number} index - Slice index
+     * @param {string} type - Image type (default: 'image/png')
+     * @param {number} quality - Quality for lossy types such as JPEG or WebP (0-1)
+     * @returns {Promise<Blob|null>} The slice as a blob
+     */
+    async getCanvasBlob(index, type = 'image/png', quality = undefined) {
+        if (!this.getContext(index)) return null;
+
+        try {
+            // A canvas of its own, since the scratch canvas may be reused before encoding ends
+            const canvas = new OffscreenCanvas(this.width, this.height);
+            canvas.getContext('2d', { alpha: false }).putImageData(this.slices[index], 0, 0);
+            return await canvas.convertToBlob({ type, quality });
+        } catch (error) {
+            console.error('Error converting slice to blob:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Put a slice on the display canvas.
+     * Unlike the stacked DOM canvases this always redraws, because the slice may
+     * have changed since it was last shown.
+     * @param {number} index - Slice index to show (0 to canvasCount - 1)
+     */
+    showCanvas(index) {
+        if (!this.isInitialized || index < 0 || index >= this.canvasCount) {
+            console.warn(`Invalid canvas index: ${index}`);
+            return false;
+        }
+
+        this.displayContext.putImageData(this.slices[index], 0, 0);
+        this.displayCanvas.style.display = 'block';
+        this.currentlyVisibleIndex = index;
+        return true;
+    }
+
+    /**
+     * Hide the display canvas
+     */
+    hideAllCanvases() {
+        if (this.displayCanvas) {
+            this.displayCanvas.style.display = 'none';
+        }
+        this.currentlyVisibleIndex = -1;
+    }
+
+    /**
+     * Release the slice pixel data and remove the display canvas
+     */
+    cleanup() {
+        if (this.displayCanvas?.parentNode) {
+            this.displayCanvas.parentNode.removeChild(this.displayCanvas);
+        }
+        this.displayCanvas = null;
+        this.displayContext = null;
+        this.scratchCanvas = null;
+        this.scratchContext = null;
+        this.slices = [];
+        super.cleanup();
+    }
+
+    /**
+     * Get the current status of the canvas manager
+     * @returns {object} Status information
+     */
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            slicesStored: this.slices.length
+        };
+    }
+}
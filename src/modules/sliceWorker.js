@@ -0,0 +1,96 @@
+// sliceWorker.js
+import { CanvasManager } from './canvasManager.js';
+import { getLineRect } from './scanAxes.js';
+
+// Runs the per-frame line copies off the main thread.
+// The Worker's OffscreenCanvases are the source of truth while capturing; the page's
+// slice canvases are mirrors, brought up to date with bitmaps of the region that
+// changed since the last sync. Syncs are throttled so the copy-back cost stays flat
+// no matter how fast frames arrive.
+
+// Minimum time between automatic syncs back to the page
+const SYNC_INTERVAL_MS = 33;
+
+let canvasManager = null;
+let generation = 0; // Matches the page's writer; stale messages are ignored
+let dirtyRect = null; // Union of everything written since the last sync
+let lastSyncTime = 0;
+let syncChain = Promise.resolve(); // Keeps syncs in order
+
+/**
+ * Grow the dirty rectangle to include another one
+ * @param {{x: number, y: number, width: number, height: number}} rect - Rectangle that changed
+ */
+function markDirty(rect) {
+    if (!dirtyRect) {
+        dirtyRect = { ...rect };
+        return;
+    }
+    const x1 = Math.max(dirtyRect.x + dirtyRect.width, rect.x + rect.width);
+    const y1 = Math.max(dirtyRect.y + dirtyRect.height, rect.y + rect.height);
+    dirtyRect.x = Math.min(dirtyRect.x, rect.x);
+    dirtyRect.y = Math.min(dirtyRect.y, rect.y);
+    dirtyRect.width = x1 - dirtyRect.x;
+    dirtyRect.height = y1 - dirtyRect.y;
+}
+
+/**
+ * Send bitmaps of the dirty region of every slice to the page
+ * @param {number|null} requestId - Id of an explicit sync request, if any
+ */
+function sync(requestId = null) {
+    syncChain = syncChain.then(async () => {
+        const rect = dirtyRect;
+        dirtyRect = null;
+        lastSyncTime = performance.now();
+
+        let bitmaps = [];
+        if (rect && canvasManager) {
+            bitmaps = await Promise.all(canvasManager.canvases.map(canvas =>
+                createImageBitmap(canvas, rect.x, rect.y, rect.width, rect.height)
+            ));
+        }
+
+        self.postMessage({ type: 'sync', generation, requestId, rect, bitmaps }, bitmaps);
+    }).catch(error => {
+        console.error('Slice sync failed:', error);
+        self.postMessage({ type: 'error', generation, message: error.message });
+    });
+}
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            generation = data.generation;
+            canvasManager = new CanvasManager(data.sliceCount);
+            canvasManager.initializeOffscreen(data.width, data.height);
+            dirtyRect = null;
+            break;
+
+        case 'write': {
+            const { frame, axis, sourceLines, targetLines, blend } = data;
+            if (data.generation === generation && canvasManager) {
+                canvasManager.writeFrameLines(frame, axis, sourceLines, targetLines, blend);
+                for (const targetLine of targetLines) {
+                    markDirty(getLineRect(axis, targetLine, canvasManager.width, canvasManager.height));
+                }
+            }
+            frame.close();
+            blend?.previousFrame?.close();
+
+            self.postMessage({ type: 'written', generation: data.generation });
+
+            if (performance.now() - lastSyncTime >= SYNC_INTERVAL_MS) {
+                sync();
+            }
+            break;
+        }
+
+        case 'sync':
+            sync(data.requestId);
+            break;
+
+        default:
+            console.warn(`Unknown slice worker message: ${data.type}`);
+    }
+};
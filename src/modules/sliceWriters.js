@@ -0,0 +1,292 @@
+// sliceWriters.js
+
+// Backends that copy the chosen line of each frame into the slice canvases.
+// FrameProcessor decides which lines go where; a writer only carries out the copies.
+// Both writers take ownership of the frame passed to write() and close it.
+
+/**
+ * Writes lines on the main thread, straight into the page's slice canvases
+ */
+export class LocalSliceWriter {
+    /**
+     * @param {CanvasManager} canvasManager - Holds the slice canvases
+     */
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.onSync = null; // Called after the slice canvases changed
+    }
+
+    initialize() { }
+
+    /**
+     * Whether a new frame has to wait (never, the copies run synchronously)
+     * @returns {boolean} Always false
+     */
+    isBusy() {
+        return false;
+    }
+
+    /**
+     * Resolve once another frame can be written
+     * @returns {Promise<void>}
+     */
+    whenReady() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Copy one line of a frame into every slice, at one or more target positions
+     * @param {VideoFrame} frame - Source frame (closed by the writer)
+     * @param {object} axis - Scan axis from SCAN_AXES
+     * @param {Int32Array} sourceLines - Source line for each slice
+     * @param {Int32Array} targetLines - Line positions written in every slice
+     * @param {object|null} blend - Smooth sampling: { previousFrame (closed by the writer), previousWeights }
+     */
+    write(frame, axis, sourceLines, targetLines, blend = null) {
+        try {
+            this.canvasManager.writeFrameLines(frame, axis, sourceLines, targetLines, blend);
+        } finally {
+            frame.close();
+            blend?.previousFrame?.close();
+        }
+        if (this.onSync) {
+            this.onSync();
+        }
+    }
+
+    /**
+     * Resolve once all written lines are visible in the slice canvases
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return Promise.resolve();
+    }
+
+    cleanup() { }
+}
+
+/**
+ * Writes lines in a dedicated Worker so camera throughput and UI work don't compete.
+ * Frames are transferred (not copied) to the Worker, which syncs the changed region
+ * back into the page's slice canvases as ImageBitmaps.
+ */
+export class WorkerSliceWriter {
+    /**
+     * @param {CanvasManager} canvasManager - Holds the page's slice canvases
+     * @param {object} options
+     * @param {number} options.maxInFlight - Frames the Worker may have queued before new ones are refused
+     */
+    constructor(canvasManager, { maxInFlight = 2 } = {}) {
+        this.canvasManager = canvasManager;
+        this.maxInFlight = maxInFlight;
+        this.worker = null;
+        this.generation = 0; // Bumped on every initialize so late replies for old canvases are ignored
+        this.inFlight = 0;
+        this.readyWaiters = [];
+        this.syncRequests = new Map(); // Sync request id -> resolve
+        this.nextSyncId = 1;
+        this.onSync = null; // Called after the slice canvases changed
+        this.onError = null; // Called if the Worker fails
+    }
+
+    /**
+     * Start (or restart) the Worker for the canvas manager's current size and slice count
+     */
+    initialize() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./sliceWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                console.error('Slice worker error:', event.message);
+                if (this.onError) {
+                    this.onError(new Error(event.message));
+                }
+            };
+        }
+
+        this.generation++;
+        this.inFlight = 0;
+        this.releaseWaiters();
+
+        const { width, height, canvasCount } = this.canvasManager;
+        this.worker.postMessage({
+            type: 'init',
+            generation: this.generation,
+            width,
+            height,
+            sliceCount: canvasCount
+        });
+
+        console.log(`🧵 Slice worker ready (${canvasCount} slices, ${width}x${height})`);
+    }
+
+    /**
+     * Whether the Worker already has as many frames queued as allowed
+     * @returns {boolean} True if a new frame would have to wait
+     */
+    isBusy() {
+        return this.inFlight >= this.maxInFlight;
+    }
+
+    /**
+     * Resolve once another frame can be written
+     * @returns {Promise<void>}
+     */
+    whenReady() {
+        if (!this.isBusy()) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.readyWaiters.push(resolve));
+    }
+
+    releaseWaiters() {
+        while (this.readyWaiters.length > 0 && !this.isBusy()) {
+            this.readyWaiters.shift()();
+        }
+    }
+
+    /**
+     * Hand one line of a frame to the Worker for every slice, at one or more target positions
+     * @param {VideoFrame} frame - Source frame (transferred to the Worker)
+     * @param {object} axis - Scan axis from SCAN_AXES
+     * @param {Int32Array} sourceLines - Source line for each slice
+     * @param {Int32Array} targetLines - Line positions written in every slice
+     * @param {object|null} blend - Smooth sampling: { previousFrame (transferred too), previousWeights }
+     */
+    write(frame, axis, sourceLines, targetLines, blend = null) {
+        const transfer = [frame, sourceLines.buffer, targetLines.buffer];
+        if (blend) {
+            transfer.push(blend.previousWeights.buffer);
+            if (blend.previousFrame) {
+                transfer.push(blend.previousFrame);
+            }
+        }
+
+        this.inFlight++;
+        this.worker.postMessage({
+            type: 'write',
+            generation: this.generation,
+            frame,
+            axis: { orientation: axis.orientation, reversed: axis.reversed },
+            sourceLines,
+            targetLines,
+            blend
+        }, transfer);
+    }
+
+    /**
+     * Resolve once everything written so far has been synced into the slice canvases
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (!this.worker) {
+            return Promise.resolve();
+        }
+        const requestId = this.nextSyncId++;
+        return new Promise(resolve => {
+            this.syncRequests.set(requestId, resolve);
+            this.worker.postMessage({ type: 'sync', requestId });
+        });
+    }
+
+    /**
+     * Handle a message from the Worker
+     * @param {object} data - Message payload
+     */
+    handleMessage(data) {
+        switch (data.type) {
+            case 'written':
+                if (data.generation === this.generation) {
+                    this.inFlight = Math.max(0, this.inFlight - 1);
+                    this.releaseWaiters();
+                }
+                break;
+
+            case 'sync':
+                if (data.generation === this.generation && data.rect) {
+                    this.applySync(data.rect, data.bitmaps);
+                }
+                data.bitmaps.forEach(bitmap => bitmap.close());
+
+                if (data.requestId !== null && this.syncRequests.has(data.requestId)) {
+                    this.syncRequests.get(data.requestId)();
+                    this.syncRequests.delete(data.requestId);
+                }
+                break;
+
+            case 'error':
+                console.error('Slice worker reported an error:', data.message);
+                if (this.onError) {
+                    this.onError(new Error(data.message));
+                }
+                break;
+        }
+    }
+
+    /**
+     * Copy synced bitmaps into the page's slice canvases
+     * @param {{x: number, y: number}} rect - Region the bitmaps cover
+     * @param {ImageBitmap[]} bitmaps - One bitmap per slice
+     */
+    applySync(rect, bitmaps) {
+        bitmaps.forEach((bitmap, index) => {
+            this.canvasManager.drawSliceRegion(index, bitmap, rect.x, rect.y);
+        });
+        if (this.onSync) {
+            this.onSync();
+        }
+    }
+
+    cleanup() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.inFlight = 0;
+        this.releaseWaiters();
+        this.syncRequests.forEach(resolve => resolve());
+        this.syncRequests.clear();
+    }
+}
+
+/**
+ * Check whether frames can be sliced in a Worker in this browser
+ * @returns {boolean} True if Workers, OffscreenCanvas and VideoFrame are available
+ */
+export function canUseSliceWorker() {
+    return typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof VideoFrame !== 'undefined';
+}
+
+// Backends offered on the welcome screen
+export const SLICE_WRITERS = {
+    worker: {
+        label: 'Worker (off main thread)',
+        create: (canvasManager) => new WorkerSliceWriter(canvasManager)
+    },
+    main: {
+        label: 'Main thread',
+        create: (canvasManager) => new LocalSliceWriter(canvasManager)
+    }
+};
+
+export const DEFAULT_SLICE_WRITER = 'worker';
+
+/**
+ * Create a slice writer, falling back to the main thread where Workers can't slice
+ * @param {string} name - Key in SLICE_WRITERS
+ * @param {CanvasManager} canvasManager - Holds the slice canvases
+ * @returns {{name: string, writer: LocalSliceWriter|WorkerSliceWriter}} The backend actually used
+ */
+export function createSliceWriter(name, canvasManager) {
+    if (!SLICE_WRITERS[name]) {
+        console.warn(`Unknown slice writer "${name}", using ${DEFAULT_SLICE_WRITER}`);
+        name = DEFAULT_SLICE_WRITER;
+    }
+    if (name === 'worker' && !canUseSliceWorker()) {
+        console.warn('Worker slicing is not supported here, using the main thread');
+        name = 'main';
+    }
+    return { name, writer: SLICE_WRITERS[name].create(canvasManager) };
+}
@@ -0,0 +1,205 @@
+// timeWarpBuffer.js
+import { getScanAxis, getScanLength, DEFAULT_SCAN_AXIS } from './scanAxes.js';
+
+// Ring buffer of recent camera frames for the live time-warp preview.
+// Every line along the scan axis gets its own delay: line y (counted from where the
+// sweep starts) shows the frame captured y·k frames ago, with k chosen so the far end
+// of the sweep lags by maxDelay frames. Lines that round to the same delay are drawn
+// together. Keeping the buffered frames at a reduced resolution bounds the memory
+// the ring needs, and the warped image is composed at that resolution before scaling.
+
+// Rows per drawImage call when composing a diagonal band; each call only blits the
+// band's bounding box within those rows
+const DIAGONAL_CHUNK_ROWS = 32;
+
+export class TimeWarpBuffer {
+    /**
+     * @param {object} options
+     * @param {number} options.maxDelay - Delay at the far end of the sweep, in frames
+     * @param {number} options.maxHeight - Height limit for buffered frames
+     */
+    constructor({ maxDelay = 60, maxHeight = 360 } = {}) {
+        this.maxDelay = maxDelay;
+        this.maxHeight = maxHeight;
+        this.axis = getScanAxis(DEFAULT_SCAN_AXIS);
+        this.width = 0;
+        this.height = 0;
+        this.slots = [];
+        this.contexts = [];
+        this.composeCanvas = null; // Warped image at buffer resolution
+        this.composeContext = null;
+        this.writeIndex = 0;
+        this.filledCount = 0;
+    }
+
+    /**
+     * Allocate the ring for a given source size
+     * @param {number} width - Source frame width
+     * @param {number} height - Source frame height
+     */
+    initialize(width, height) {
+        const scale = Math.min(1, this.maxHeight / height);
+        this.width = Math.max(1, Math.round(width * scale));
+        this.height = Math.max(1, Math.round(height * scale));
+        this.allocate();
+    }
+
+    /**
+     * (Re)create the ring slots for the current size and delay
+     */
+    allocate() {
+        const capacity = this.maxDelay + 1;
+
+        this.slots = [];
+        this.contexts = [];
+        for (let i = 0; i < capacity; i++) {
+            const slot = new OffscreenCanvas(this.width, this.height);
+            this.slots.push(slot);
+            this.contexts.push(slot.getContext('2d', { alpha: false }));
+        }
+        this.composeCanvas = new OffscreenCanvas(this.width, this.height);
+        this.composeContext = this.composeCanvas.getContext('2d', { alpha: false });
+        this.writeIndex = 0;
+        this.filledCount = 0;
+
+        console.log(`TimeWarpBuffer ready: ${capacity} frames at ${this.width}x${this.height}`);
+    }
+
+    /**
+     * Follow the capture's scan axis so the preview delays run the same way
+     * @param {object} axis - Scan axis from SCAN_AXES
+     */
+    setAxis(axis) {
+        this.axis = axis;
+    }
+
+    /**
+     * Change the delay at the far end of the sweep (clears the buffer)
+     * @param {number} maxDelay - Delay in frames
+     */
+    setDelay(maxDelay) {
+        this.maxDelay = Math.max(1, Math.round(maxDelay));
+        if (this.slots.length > 0) {
+            this.allocate();
+        }
+    }
+
+    /**
+     * Store a new frame (the caller keeps ownership and closes it)
+     * @param {VideoFrame} frame - Latest camera frame
+     */
+    push(frame) {
+        if (this.slots.length === 0) return;
+
+        this.contexts[this.writeIndex].drawImage(frame, 0, 0, this.width, this.height);
+        this.writeIndex = (this.writeIndex + 1) % this.slots.length;
+        this.filledCount = Math.min(this.filledCount + 1, this.slots.length);
+    }
+
+    /**
+     * Get the buffered frame captured a number of frames ago
+     * @param {number} framesAgo - 0 for the newest frame
+     * @returns {OffscreenCanvas|null} The buffered frame (the oldest available one if not enough history yet)
+     */
+    getFrameAgo(framesAgo) {
+        if (this.filledCount === 0) return null;
+
+        const clamped = Math.min(framesAgo, this.filledCount - 1);
+        const index = (this.writeIndex - 1 - clamped + this.slots.length * 2) % this.slots.length;
+        return this.slots[index];
+    }
+
+    /**
+     * Delay of one line along the scan axis
+     * @param {number} line - Line position in buffer coordinates
+     * @param {number} length - Number of lines along the axis
+     * @returns {number} Delay in whole frames
+     */
+    getLineDelay(line, length) {
+        // Reversed axes keep the newest frame where their sweep starts
+        const step = this.axis.reversed ? length - 1 - line : line;
+        return length > 1 ? Math.round((step * this.maxDelay) / (length - 1)) : 0;
+    }
+
+    /**
+     * Compose the time-warped image onto a target context
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {number} targetWidth - Target width
+     * @param {number} targetHeight - Target height
+     */
+    render(ctx, targetWidth, targetHeight) {
+        if (this.filledCount === 0) return;
+
+        const length = getScanLength(this.axis, this.width, this.height);
+        let start = 0;
+        while (start < length) {
+            // Extend the run over every following line with the same delay
+            const delay = this.getLineDelay(start, length);
+            let end = start + 1;
+            while (end < length && this.getLineDelay(end, length) === delay) {
+                end++;
+            }
+
+            this.drawLines(this.getFrameAgo(delay), start, end);
+            start = end;
+        }
+
+        ctx.drawImage(this.composeCanvas, 0, 0, targetWidth, targetHeight);
+    }
+
+    /**
+     * Copy a run of lines from a buffered frame into the composed image
+     * @param {OffscreenCanvas} source - Buffered frame
+     * @param {number} start - First line of the run
+     * @param {number} end - Line after the run
+     */
+    drawLines(source, start, end) {
+        const ctx = this.composeContext;
+
+        switch (this.axis.orientation) {
+            case 'column':
+                ctx.drawImage(source, start, 0, end - start, this.height, start, 0, end - start, this.height);
+                break;
+
+            case 'diagonal': {
+                // Clip to the band start <= x + y < end, then blit its bounding box a few rows at a time
+                ctx.save();
+                ctx.beginPath();
+                ctx.moveTo(start, 0);
+                ctx.lineTo(end, 0);
+                ctx.lineTo(0, end);
+                ctx.lineTo(0, start);
+                ctx.closePath();
+                ctx.clip();
+
+                const firstRow = Math.max(0, start - this.width);
+                const lastRow = Math.min(this.height, end);
+                for (let top = firstRow; top < lastRow; top += DIAGONAL_CHUNK_ROWS) {
+                    const bottom = Math.min(lastRow, top + DIAGONAL_CHUNK_ROWS);
+                    const left = Math.max(0, start - bottom);
+                    const right = Math.min(this.width, end - top);
+                    if (right > left) {
+                        ctx.drawImage(source, left, top, right - left, bottom - top, left, top, right - left, bottom - top);
+                    }
+                }
+                ctx.restore();
+                break;
+            }
+
+            default:
+                ctx.drawImage(source, 0, start, this.width, end - start, 0, start, this.width, end - start);
+        }
+    }
+
+    /**
+     * Release buffered frames
+     */
+    cleanup() {
+        this.slots = [];
+        this.contexts = [];
+        this.composeCanvas = null;
+        this.composeContext = null;
+        this.writeIndex = 0;
+        this.filledCount = 0;
+    }
+}
@@ -0,0 +1,81 @@
+// videoFormats.js
+import {
+    Mp4OutputFormat,
+    WebMOutputFormat,
+    canEncodeVideo,
+    QUALITY_LOW,
+    QUALITY_MEDIUM,
+    QUALITY_HIGH,
+    QUALITY_VERY_HIGH,
+} from 'mediabunny';
+
+// Container/codec combinations offered for video export
+export const VIDEO_FORMATS = {
+    'mp4-avc': {
+        label: 'MP4 (H.264)',
+        codec: 'avc',
+        createFormat: () => new Mp4OutputFormat(),
+        extension: 'mp4',
+        mimeType: 'video/mp4'
+    },
+    'mp4-hevc': {
+        label: 'MP4 (HEVC)',
+        codec: 'hevc',
+        createFormat: () => new Mp4OutputFormat(),
+        extension: 'mp4',
+        mimeType: 'video/mp4'
+    },
+    'webm-vp9': {
+        label: 'WebM (VP9)',
+        codec: 'vp9',
+        createFormat: () => new WebMOutputFormat(),
+        extension: 'webm',
+        mimeType: 'video/webm'
+    },
+    'webm-av1': {
+        label: 'WebM (AV1)',
+        codec: 'av1',
+        createFormat: () => new WebMOutputFormat(),
+        extension: 'webm',
+        mimeType: 'video/webm'
+    }
+};
+
+export const DEFAULT_VIDEO_FORMAT = 'mp4-avc';
+
+// Bitrate presets; mediabunny scales each quality to the codec and resolution
+export const BITRATE_PRESETS = {
+    low: { label: 'Low (small file)', bitrate: QUALITY_LOW },
+    medium: { label: 'Medium', bitrate: QUALITY_MEDIUM },
+    high: { label: 'High', bitrate: QUALITY_HIGH },
+    'very-high': { label: 'Very high (archival)', bitrate: QUALITY_VERY_HIGH }
+};
+
+export const DEFAULT_BITRATE_PRESET = 'high';
+
+/**
+ * Find the video formats this browser can encode at the given size.
+ * canEncodeVideo builds the same codec string the encoder will use and
+ * asks WebCodecs via VideoEncoder.isConfigSupported().
+ * @param {number} width - Video width (even)
+ * @param {number} height - Video height (even)
+ * @returns {Promise<string[]>} Keys of supported VIDEO_FORMATS
+ */
+export async function getSupportedVideoFormats(width, height) {
+    const checks = Object.entries(VIDEO_FORMATS).map(async ([name, format]) => {
+        try {
+            const supported = await canEncodeVideo(format.codec, {
+                width,
+                height,
+                bitrate: QUALITY_HIGH
+            });
+            return supported ? name : null;
+        } catch (error) {
+            console.warn(`Could not check ${format.label} support:`, error);
+            return null;
+        }
+    });
+
+    const results = await Promise.all(checks);
+    return results.filter(Boolean);
+}